@@ -1,10 +1,11 @@
 import { defineConfig } from 'astro/config';
 import react from '@astrojs/react';
+import mdx from '@astrojs/mdx';
 import tailwind from '@astrojs/tailwind';
 
 export default defineConfig({
   site: 'https://jamesyoung93.github.io',
   base: '/foretodata',
-  integrations: [react(), tailwind()],
+  integrations: [react(), tailwind(), mdx()],
   output: 'static',
 });
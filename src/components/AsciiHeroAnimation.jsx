@@ -1,114 +1,73 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import MolecularViewer from './MolecularViewer';
-import CausalNetworkVisualization from './CausalNetworkVisualization';
+import CausalNetworkVisualization, { INTERVENTION_TICKS } from './CausalNetworkVisualization';
 import WaddingtonLandscape from './WaddingtonLandscape';
+import WhatIfPanel from './WhatIfPanel';
+import FitnessLandscape from './FitnessLandscape';
+import TransportBar, { useTransport } from './TransportBar';
+import { parseGraph } from '../utils/causalGraph.js';
+import { modelFromGraph, counterfactualMeans } from '../utils/causal.js';
+import { decisionGraph, decisionMetrics } from '../data/decisionGraph.js';
+import { decisionFrames, regulatoryFrames } from '../data/heroFrames.js';
+import { frameTimeline } from '../utils/asciiFrames.js';
+import { createNKLandscape, NK_PARAMS } from '../utils/nkLandscape.js';
+import { runOptimizer, TRACE_STEPS } from '../utils/optimizers.js';
+import { playExpand } from '../utils/soundManager.js';
 
 // ============================================================================
 // PANEL 1: ENZYME ENGINEERING - Navigating sequence space to optimize function
 // ============================================================================
 // Animation tells the story of exploring a fitness landscape:
-// - 3D wireframe mesh shows rugged landscape (sequence space)
-// - Tracer moves across surface (not just left-right but also depth)
-// - Allosteric sites pulse when big changes happen
-// - Metrics improve as tracer climbs toward global optimum
-const enzymeFrames = [
-  {
-    // Frame 1: Starting position - tracer in low valley
-    art: `
- ACTIVE SITE         FITNESS LANDSCAPE
- ┌─────────────┐    ┌───────────────────┐
- │   ○───○     │    │ ╱─╲   ╱───╲  ╱─╲  │
- │  ╱  ▼  ╲    │    │╱   ╲_╱     ╲╱   ╲ │
- │ ●   ◇   ●   │    │─────•─────────────│
- │  ╲     ╱    │    │╲   ╱ ╲     ╱╲   ╱ │
- │   ●───●     │    │ ╲_╱   ╲___╱  ╲_╱  │
- │○         ○  │    │    sequence space  │
- │allo   allo  │    └───────────────────┘
- └─────────────┘`,
-    metrics: { kcat: '142', efficiency: '1.2', tm: '68' },
-    allosteric: [false, false]
-  },
-  {
-    // Frame 2: Climbing local peak - first allosteric pulses
-    art: `
- ACTIVE SITE         FITNESS LANDSCAPE
- ┌─────────────┐    ┌───────────────────┐
- │   ○───○     │    │ ╱─╲   ╱───╲  ╱─╲  │
- │  ╱  ▼  ╲    │    │╱ • ╲_╱     ╲╱   ╲ │
- │ ●   ◆   ●   │    │─────────────────── │
- │  ╲     ╱    │    │╲   ╱ ╲     ╱╲   ╱ │
- │   ●───●     │    │ ╲_╱   ╲___╱  ╲_╱  │
- │◉         ○  │    │    sequence space  │
- │allo   allo  │    └───────────────────┘
- └─────────────┘`,
-    metrics: { kcat: '148', efficiency: '1.3', tm: '70' },
-    allosteric: [true, false]
-  },
-  {
-    // Frame 3: At local peak - good but not optimal
-    art: `
- ACTIVE SITE         FITNESS LANDSCAPE
- ┌─────────────┐    ┌───────────────────┐
- │   ●───●     │    │ •─╲   ╱───╲  ╱─╲  │
- │  ╱  ▼  ╲    │    │╱   ╲_╱     ╲╱   ╲ │
- │ ●   ◆   ●   │    │─────────────────── │
- │  ╲     ╱    │    │╲   ╱ ╲     ╱╲   ╱ │
- │   ●───●     │    │ ╲_╱   ╲___╱  ╲_╱  │
- │◉         ◉  │    │    sequence space  │
- │allo   allo  │    └───────────────────┘
- └─────────────┘`,
-    metrics: { kcat: '151', efficiency: '1.4', tm: '71' },
-    allosteric: [true, true]
-  },
-  {
-    // Frame 4: Dropping into valley - exploring further
-    art: `
- ACTIVE SITE         FITNESS LANDSCAPE
- ┌─────────────┐    ┌───────────────────┐
- │   ○───○     │    │ ╱─╲   ╱───╲  ╱─╲  │
- │  ╱  ▽  ╲    │    │╱   ╲_╱  •  ╲╱   ╲ │
- │ ○   ◇   ○   │    │─────────────────── │
- │  ╲     ╱    │    │╲   ╱ ╲     ╱╲   ╱ │
- │   ○───○     │    │ ╲_╱   ╲___╱  ╲_╱  │
- │○         ○  │    │    sequence space  │
- │allo   allo  │    └───────────────────┘
- └─────────────┘`,
-    metrics: { kcat: '144', efficiency: '1.2', tm: '69' },
-    allosteric: [false, false]
-  },
-  {
-    // Frame 5: Climbing toward global maximum
-    art: `
- ACTIVE SITE         FITNESS LANDSCAPE
- ┌─────────────┐    ┌───────────────────┐
- │   ●───●     │    │ ╱─╲   ╱─•─╲  ╱─╲  │
- │  ╱  ▼  ╲    │    │╱   ╲_╱     ╲╱   ╲ │
- │ ●   ◆   ●   │    │─────────────────── │
- │  ╲     ╱    │    │╲   ╱ ╲     ╱╲   ╱ │
- │   ●───●     │    │ ╲_╱   ╲___╱  ╲_╱  │
- │◉         ○  │    │    sequence space  │
- │allo   allo  │    └───────────────────┘
- └─────────────┘`,
-    metrics: { kcat: '155', efficiency: '1.5', tm: '72' },
-    allosteric: [true, false]
-  },
-  {
-    // Frame 6: Near global optimum - best metrics
-    art: `
- ACTIVE SITE         FITNESS LANDSCAPE
- ┌─────────────┐    ┌───────────────────┐
- │   ●═══●     │    │ ╱─╲   ╱─╲ •  ╱─╲  │
- │  ╱  ▼  ╲    │    │╱   ╲_╱   ╲ ╲╱   ╲ │
- │ ●   ★   ●   │    │─────────────────── │
- │  ╲     ╱    │    │╲   ╱ ╲     ╱╲   ╱ │
- │   ●═══●     │    │ ╲_╱   ╲___╱  ╲_╱  │
- │◉         ◉  │    │    sequence space  │
- │allo   allo  │    └───────────────────┘
- └─────────────┘`,
-    metrics: { kcat: '162', efficiency: '1.6', tm: '74' },
-    allosteric: [true, true]
-  },
-];
+// - An NK landscape (utils/nkLandscape.js) drawn as ASCII, with a seeded
+//   optimizer run across it (utils/optimizers.js) - one evaluation per tick
+// - kcat, kcat/Km and Tm follow the climber's fitness
+// - MolecularViewer follows the run: the active site brightens with fitness
+//   and turns gold on the global optimum, an uphill step lights the
+//   allosteric site holding the mutated positions and the camera goes there,
+//   a downhill step dims the view and pulls back. Groups keep their ids from
+//   step to step so the viewer tweens them.
+const nkLandscape = createNKLandscape(NK_PARAMS);
+const DEFAULT_OPTIMIZER = { method: 'annealing', seed: 1 };
+
+// Metric ranges from the worst (fitness 0) to the best (1) genotype
+const ENZYME_METRICS = { kcat: [120, 180], efficiency: [0.9, 1.8], tm: [62, 76] };
+
+const enzymeMetric = (name, fitness) => {
+  const [low, high] = ENZYME_METRICS[name];
+  return low + (high - low) * fitness;
+};
+
+const ACTIVE_SITE = [35, 52];
+// Genotype sites in the first half map to the first allosteric site
+const ALLOSTERIC_SITES = [[62, 101], [117]];
+
+const activeSite = (color, radius) =>
+  ({ id: 'active', label: 'active site', residues: ACTIVE_SITE, color, style: 'stick', radius });
+
+const allostericSite = (site, lit) => ({
+  id: `allosteric-${site + 1}`,
+  label: 'allosteric',
+  residues: ALLOSTERIC_SITES[site],
+  color: lit ? '#00ffaa' : '#007755',
+  style: 'sphere',
+  radius: lit ? 0.8 : 0.5,
+  opacity: lit ? 0.95 : 0.5,
+});
+
+function enzymeView(entry, previous) {
+  const delta = previous ? entry.fitness - previous.fitness : 0;
+  const mutatedSites = new Set(entry.changed.map(site => (site < nkLandscape.n / 2 ? 0 : 1)));
+  const lit = ALLOSTERIC_SITES.map((_, site) => delta > 0 && mutatedSites.has(site));
+  const active = entry.genotype === nkLandscape.optimum
+    ? activeSite('#ffdd66', 0.3)
+    : activeSite(delta < 0 ? '#777777' : '#ffffff', 0.15 + 0.1 * entry.fitness);
+
+  let focus = { residues: ACTIVE_SITE, radius: 14 };
+  if (delta < 0) focus = null;
+  else if (lit.includes(true)) focus = { residues: ALLOSTERIC_SITES[lit.indexOf(true)], radius: 12 };
+
+  return { highlights: [active, ...lit.map((on, site) => allostericSite(site, on))], focus };
+}
 
 // ============================================================================
 // PANEL 2: REGULATORY CIRCUITS - Bistable toggle switch controls cell fate
@@ -116,302 +75,64 @@ const enzymeFrames = [
 // Animation tells the story of a bistable genetic switch:
 // - LEFT: Network state with TF1/TF2 mutual repression and expression bars
 // - RIGHT: 2D phenotype space with VIABILITY (x) and PRODUCTIVITY (y) axes
-// - Signal triggers transitions between stable states
-// - Full cycle: 12 frames (~8-9 seconds at 700ms/frame)
+// - Signal triggers transitions between stable states (frames with `signal`
+//   also drive the simulated cell in WaddingtonLandscape)
+// - Full cycle: 12 frames in src/data/frames/regulatory
 //
 // Biotech context: Classic tradeoff between cell health and production output
 // - OPTIMAL attractor: high viability + high productivity (sweet spot)
 // - SURVIVAL attractor: high viability but low productivity (lazy cells)
-const regulatoryFrames = [
-  // ========== OPTIMAL STATE (TF1 dominant, high productivity) ==========
-  {
-    // Frame 1: Stable optimal state - TF1 high, TF2 low
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑      ●       │
-│ │███████│   │    │ │       ╲      │
-│ └───┬───┘   │    │ │        ╲     │
-│   ⊣─┼─⊣     │    │ │         ╲    │
-│ ┌───┴───┐   │    │ │          ╲   │
-│ │░░░░░░░│   │    │ │           ○  │
-│ └─ TF2 ─┘   │    │ └────────────→ │
-│  ↓     ↓    │    │            V   │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'OPTIMAL', stability: 94, v: 0.87, p: 0.91
-  },
-  {
-    // Frame 2: Optimal state with repression pulse from TF1
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑      ●       │
-│ │███████│   │    │ │       ╲      │
-│ └───┬───┘   │    │ │        ╲     │
-│   ⊣─●─⊣     │    │ │         ╲    │
-│ ┌───┴───┐   │    │ │          ╲   │
-│ │░░░░░░░│   │    │ │           ○  │
-│ └─ TF2 ─┘   │    │ └────────────→ │
-│  ↓     ↓    │    │            V   │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'OPTIMAL', stability: 92, v: 0.85, p: 0.89
-  },
-  {
-    // Frame 3: Signal appears, about to trigger transition
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│   ⚡signal   │    │ P              │
-│     ↓       │    │ ↑      ●       │
-│ ┌─ TF1 ─┐   │    │ │       ╲      │
-│ │██████░│   │    │ │        ╲     │
-│ └───┬───┘   │    │ │         ╲    │
-│   ⊣─┼─⊣     │    │ │          ╲   │
-│ ┌───┴───┐   │    │ │           ○  │
-│ │░░░░░░░│   │    │ └────────────→ │
-│ └─ TF2 ─┘   │    │            V   │
-│             │    └────────────────┘
-└─────────────┘`,
-    state: 'OPTIMAL', stability: 78, v: 0.79, p: 0.82
-  },
-  // ========== TRANSITION: OPTIMAL → SURVIVAL ==========
-  {
-    // Frame 4: Signal triggers, TF1 starts dropping
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│   ⚡⚡signal  │    │ P              │
-│     ↓↓      │    │ ↑     ·        │
-│ ┌─ TF1 ─┐   │    │ │    ·  ╲      │
-│ │████░░░│   │    │ │   ●    ╲     │
-│ └───┬───┘   │    │ │         ╲    │
-│   ⊣─┼─⊣     │    │ │          ╲   │
-│ ┌───┴───┐   │    │ │           ○  │
-│ │██░░░░░│   │    │ └────────────→ │
-│ └─ TF2 ─┘   │    │            V   │
-│             │    └────────────────┘
-└─────────────┘`,
-    state: 'switching', stability: 34, v: 0.52, p: 0.48
-  },
-  {
-    // Frame 5: Mid-transition, crossing the boundary
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑    ·         │
-│ │██░░░░░│   │    │ │  ·    ╲      │
-│ └───┬───┘   │    │ │ ●      ╲     │
-│   ⊣─○─⊣     │    │ │         ╲    │
-│ ┌───┴───┐   │    │ │          ╲   │
-│ │████░░░│   │    │ │           ○  │
-│ └─ TF2 ─┘   │    │ └────────────→ │
-│  ↓     ↓    │    │            V   │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'switching', stability: 12, v: 0.38, p: 0.31
-  },
-  {
-    // Frame 6: Approaching survival state, TF2 rising
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑       ╲      │
-│ │█░░░░░░│   │    │ │ ·      ╲     │
-│ └───┬───┘   │    │ │·        ╲    │
-│   ⊣─┼─⊣     │    │ │          ╲   │
-│ ┌───┴───┐   │    │ │       ●   ○  │
-│ │█████░░│   │    │ └────────────→ │
-│ └─ TF2 ─┘   │    │            V   │
-│  ↓     ↓    │    │                │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'SURVIVAL', stability: 58, v: 0.78, p: 0.21
-  },
-  // ========== SURVIVAL STATE (TF2 dominant, low productivity) ==========
-  {
-    // Frame 7: Stable survival state - TF2 high, TF1 low
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑       ╲      │
-│ │░░░░░░░│   │    │ │        ╲     │
-│ └───┬───┘   │    │ │         ╲    │
-│   ⊣─┼─⊣     │    │ │          ╲   │
-│ ┌───┴───┐   │    │ │           ●  │
-│ │███████│   │    │ └────────────→ │
-│ └─ TF2 ─┘   │    │            V   │
-│  ↓     ↓    │    │                │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'SURVIVAL', stability: 89, v: 0.91, p: 0.11
-  },
-  {
-    // Frame 8: Survival state with repression pulse from TF2
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑       ╲      │
-│ │░░░░░░░│   │    │ │        ╲     │
-│ └───┬───┘   │    │ │         ╲    │
-│   ⊣─●─⊣     │    │ │          ╲   │
-│ ┌───┴───┐   │    │ │           ●  │
-│ │███████│   │    │ └────────────→ │
-│ └─ TF2 ─┘   │    │            V   │
-│  ↓     ↓    │    │                │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'SURVIVAL', stability: 91, v: 0.88, p: 0.13
-  },
-  {
-    // Frame 9: Signal appears again, about to flip back
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│   ⚡signal   │    │ P              │
-│     ↓       │    │ ↑       ╲      │
-│ ┌─ TF1 ─┐   │    │ │        ╲     │
-│ │░░░░░░░│   │    │ │         ╲    │
-│ └───┬───┘   │    │ │          ╲   │
-│   ⊣─┼─⊣     │    │ │           ●  │
-│ ┌───┴───┐   │    │ └────────────→ │
-│ │██████░│   │    │            V   │
-│ └─ TF2 ─┘   │    │                │
-│             │    └────────────────┘
-└─────────────┘`,
-    state: 'SURVIVAL', stability: 76, v: 0.82, p: 0.19
-  },
-  // ========== TRANSITION: SURVIVAL → OPTIMAL ==========
-  {
-    // Frame 10: Signal triggers, TF2 starts dropping
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│   ⚡⚡signal  │    │ P              │
-│     ↓↓      │    │ ↑       ╲      │
-│ ┌─ TF1 ─┐   │    │ │   ·    ╲     │
-│ │██░░░░░│   │    │ │  ●      ╲    │
-│ └───┬───┘   │    │ │          ╲   │
-│   ⊣─┼─⊣     │    │ │       ·   ○  │
-│ ┌───┴───┐   │    │ └────────────→ │
-│ │████░░░│   │    │            V   │
-│ └─ TF2 ─┘   │    │                │
-│             │    └────────────────┘
-└─────────────┘`,
-    state: 'switching', stability: 31, v: 0.52, p: 0.45
-  },
-  {
-    // Frame 11: Crossing back toward optimal
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑    ·         │
-│ │████░░░│   │    │ │   ●   ╲      │
-│ └───┬───┘   │    │ │        ╲     │
-│   ⊣─○─⊣     │    │ │     ·   ╲    │
-│ ┌───┴───┐   │    │ │          ╲   │
-│ │██░░░░░│   │    │ │           ○  │
-│ └─ TF2 ─┘   │    │ └────────────→ │
-│  ↓     ↓    │    │            V   │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'switching', stability: 18, v: 0.41, p: 0.58
-  },
-  {
-    // Frame 12: Approaching optimal state again
-    art: `
- NETWORK STATE       PHENOTYPE SPACE
-┌─────────────┐    ┌────────────────┐
-│             │    │ P              │
-│ ┌─ TF1 ─┐   │    │ ↑     ·        │
-│ │█████░░│   │    │ │     ●  ╲     │
-│ └───┬───┘   │    │ │   ·     ╲    │
-│   ⊣─┼─⊣     │    │ │          ╲   │
-│ ┌───┴───┐   │    │ │           ○  │
-│ │█░░░░░░│   │    │ └────────────→ │
-│ └─ TF2 ─┘   │    │            V   │
-│  ↓     ↓    │    │                │
-│prod  surv   │    └────────────────┘
-└─────────────┘`,
-    state: 'OPTIMAL', stability: 62, v: 0.74, p: 0.75
-  },
-];
 
 // ============================================================================
 // PANEL 3: DECISION SYSTEMS - ML finds levers in business systems
 // ============================================================================
-const decisionFrames = [
-  {
-    art: `
-   ▸▸▸│         ┌─────┐
-   ▹▹▹│  ──▶    │ ◇◇◇ │   ──▶
-   ▸▸▸│         │◇ M ◇│
-   ▹▹▹│         │ ◇◇◇ │
-  INPUT         └─────┘        `,
-    conv: '+23', rev: '2.4', churn: '-18', convDir: '▲', revDir: '▲', churnDir: '▼'
-  },
-  {
-    art: `
-   ▹▸▸│         ┌─────┐
-   ▸▹▸│  ▶▶▶    │ ●○● │   ▶▶▶
-   ▹▸▹│         │○ M ○│
-   ▸▹▸│         │ ●○● │
-  INPUT         └─────┘        `,
-    conv: '+25', rev: '2.5', churn: '-19', convDir: '▲', revDir: '▲', churnDir: '▼'
-  },
-  {
-    art: `
-   ▸▹▸│         ┌─────┐
-   ▹▸▹│  >>>    │ ◆◇◆ │   >>>
-   ▸▹▸│         │◇ M ◇│
-   ▹▸▹│         │ ◆◇◆ │
-  INPUT         └─────┘        `,
-    conv: '+27', rev: '2.6', churn: '-21', convDir: '▲', revDir: '▲', churnDir: '▼'
-  },
-  {
-    art: `
-   ▹▹▸│         ┌─────┐
-   ▸▸▹│  ⟹     │ ★☆★ │   ⟹
-   ▹▹▸│         │☆ M ☆│
-   ▸▸▹│         │ ★☆★ │
-  INPUT         └─────┘        `,
-    conv: '+29', rev: '2.7', churn: '-22', convDir: '▲', revDir: '▲', churnDir: '▼'
-  },
-];
+// The metrics are live: the what-if sliders shift the levers and the outcomes
+// are recomputed through the same causal model CausalNetworkVisualization
+// draws (src/data/decisionGraph.js).
+const decisionParsed = parseGraph(decisionGraph);
+const decisionModel = modelFromGraph(decisionParsed);
+const decisionLevers = decisionParsed.nodes.filter(node => node.type === 'lever');
+const noShifts = Object.fromEntries(decisionLevers.map(lever => [lever.id, 0]));
+
+// Panel configuration. `length` is the panel's own loop in ticks; the
+// decision panel's covers its frames and one intervention per lever
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+const lcm = (a, b) => (a * b) / gcd(a, b);
+
+const decisionTimeline = frameTimeline(decisionFrames);
+const regulatoryTimeline = frameTimeline(regulatoryFrames);
 
-// Panel configuration
 const panels = [
   {
     id: 'decision',
     title: 'DECISION SYSTEMS',
     subtitle: 'intervention → propagation → impact',
     color: 'text-amber',
-    frames: decisionFrames,
+    timeline: decisionTimeline,
+    length: lcm(decisionTimeline.length, INTERVENTION_TICKS * Math.max(1, decisionLevers.length)),
   },
   {
     id: 'enzyme',
     title: 'ENZYME ENGINEERING',
     subtitle: 'sequence → structure → function',
     color: 'text-accent',
-    frames: enzymeFrames,
+    length: TRACE_STEPS,
   },
   {
     id: 'regulatory',
     title: 'CELL PHENOTYPE LANDSCAPE',
     subtitle: 'network → dynamics → phenotype',
     color: 'text-cyan',
-    frames: regulatoryFrames,
+    timeline: regulatoryTimeline,
+    length: regulatoryTimeline.length,
   },
 ];
 
+// The shared timeline is long enough for every panel to loop cleanly
+const HERO_TICKS = panels.map(panel => panel.length).reduce(lcm, 1);
+
+const wrapTick = (tick, length) => ((tick % length) + length) % length;
+
 // Fixed-width formatting utilities
 const padNumber = (num, width) => String(num).padStart(width, ' ');
 const padDecimal = (num, intWidth, decWidth) => {
@@ -419,9 +140,37 @@ const padDecimal = (num, intWidth, decWidth) => {
   return intPart.padStart(intWidth, ' ') + '.' + decPart.padEnd(decWidth, '0');
 };
 
-// Individual panel component
-function AsciiPanel({ panel, frameIndex }) {
-  const frame = panel.frames[frameIndex % panel.frames.length];
+// Individual panel component. `paused` freezes the 3D views along with the
+// clock; the header expands the panel to full width
+function AsciiPanel({ panel, frameIndex, paused, expanded, hidden, onToggleExpand }) {
+  const frame = panel.timeline ? panel.timeline[frameIndex % panel.timeline.length] : null;
+  const [shifts, setShifts] = useState(noShifts);
+  const [optimizer, setOptimizer] = useState(DEFAULT_OPTIMIZER);
+  const [runStart, setRunStart] = useState(0);
+
+  // Enzyme panel: the optimizer run, one evaluation per tick from the tick
+  // it was (re)started on, so scrubbing replays it
+  const trace = useMemo(
+    () => (panel.id === 'enzyme' ? runOptimizer(nkLandscape, optimizer.method, { seed: optimizer.seed }) : null),
+    [panel.id, optimizer]
+  );
+  const step = trace ? wrapTick(frameIndex - runStart, trace.length) : 0;
+  const enzymeStep = trace && trace[step];
+  const view = useMemo(
+    () => (trace ? enzymeView(trace[step], trace[step - 1]) : null),
+    [trace, step]
+  );
+
+  const changeOptimizer = (change) => {
+    setOptimizer(current => ({ ...current, ...change }));
+    setRunStart(frameIndex);
+  };
+
+  // Decision panel: factual vs counterfactual means under the lever shifts
+  const whatIf = useMemo(
+    () => (panel.id === 'decision' ? counterfactualMeans(decisionModel, shifts) : null),
+    [panel.id, shifts]
+  );
 
   // Render metrics based on panel type with fixed-width formatting
   const renderMetrics = () => {
@@ -430,15 +179,15 @@ function AsciiPanel({ panel, frameIndex }) {
         <div className="ascii-metrics">
           <div className="metric-row">
             <span className="metric-label">kcat:</span>
-            <span className="metric-value metric-fixed">{padNumber(frame.metrics.kcat, 3)} s⁻¹</span>
+            <span className="metric-value metric-fixed">{padNumber(Math.round(enzymeMetric('kcat', enzymeStep.fitness)), 3)} s⁻¹</span>
           </div>
           <div className="metric-row">
             <span className="metric-label">kcat/Km:</span>
-            <span className="metric-value metric-fixed">{padDecimal(frame.metrics.efficiency, 1, 1)} × 10⁶ M⁻¹s⁻¹</span>
+            <span className="metric-value metric-fixed">{padDecimal(enzymeMetric('efficiency', enzymeStep.fitness).toFixed(1), 1, 1)} × 10⁶ M⁻¹s⁻¹</span>
           </div>
           <div className="metric-row">
             <span className="metric-label">Tm:</span>
-            <span className="metric-value metric-fixed">{padNumber(frame.metrics.tm, 2)}°C</span>
+            <span className="metric-value metric-fixed">{padNumber(Math.round(enzymeMetric('tm', enzymeStep.fitness)), 2)}°C</span>
           </div>
         </div>
       );
@@ -474,42 +223,40 @@ function AsciiPanel({ panel, frameIndex }) {
     }
 
     if (panel.id === 'decision') {
-      // Calculate bar widths based on frame values
-      const convValue = parseInt(frame.conv.replace('+', ''));
-      const churnValue = Math.abs(parseInt(frame.churn));
-
+      // Factual vs counterfactual; the bar shows the counterfactual with a
+      // tick at the factual value
       return (
         <div className="ascii-metrics decision-metrics-enhanced">
-          <div className="metric-row metric-bar-row">
-            <span className="metric-label">CONVERSION:</span>
-            <div className="metric-bar">
-              <div
-                className="metric-bar-fill positive"
-                style={{ width: `${(convValue / 35) * 100}%` }}
-              />
-            </div>
-            <span className="metric-value metric-fixed metric-up">{frame.conv.padStart(3, ' ')}% {frame.convDir}</span>
-          </div>
-          <div className="metric-row metric-bar-row">
-            <span className="metric-label">REVENUE:</span>
-            <div className="metric-bar">
-              <div
-                className="metric-bar-fill positive"
-                style={{ width: `${(parseFloat(frame.rev) / 3.0) * 100}%` }}
-              />
-            </div>
-            <span className="metric-value metric-fixed metric-up">${frame.rev}M {frame.revDir}</span>
-          </div>
-          <div className="metric-row metric-bar-row">
-            <span className="metric-label">CHURN:</span>
-            <div className="metric-bar">
-              <div
-                className="metric-bar-fill negative"
-                style={{ width: `${(churnValue / 30) * 100}%` }}
-              />
-            </div>
-            <span className="metric-value metric-fixed metric-down">{frame.churn.padStart(3, ' ')}% {frame.churnDir}</span>
+          <div className="metric-row whatif-columns">
+            <span className="metric-label">(mean per unit)</span>
+            <span className="metric-value metric-fixed">factual → what-if</span>
           </div>
+          {decisionMetrics.map(metric => {
+            const factual = metric.toDisplay(whatIf.factual[metric.node]);
+            const counterfactual = metric.toDisplay(whatIf.counterfactual[metric.node]);
+            const change = counterfactual - factual;
+            const moved = Math.abs(change) >= 0.005 * metric.max;
+            const improved = (change > 0) === metric.higherIsBetter;
+            const barWidth = (value) => `${Math.min(100, Math.max(0, (value / metric.max) * 100))}%`;
+
+            return (
+              <div key={metric.id} className="metric-row metric-bar-row">
+                <span className="metric-label">{metric.label}:</span>
+                <div className="metric-bar">
+                  <div
+                    className={`metric-bar-fill ${metric.higherIsBetter ? 'positive' : 'negative'}`}
+                    style={{ width: barWidth(counterfactual) }}
+                  />
+                  <div className="metric-bar-marker" style={{ left: barWidth(factual) }} />
+                </div>
+                <span className={`metric-value metric-fixed ${!moved ? '' : improved ? 'metric-up' : 'metric-worse'}`}>
+                  <span className="metric-factual">{metric.format(factual)}</span>
+                  {' → '}
+                  {metric.format(counterfactual)} {moved ? (change > 0 ? '▲' : '▼') : '·'}
+                </span>
+              </div>
+            );
+          })}
         </div>
       );
     }
@@ -524,17 +271,14 @@ function AsciiPanel({ panel, frameIndex }) {
     if (panel.id === 'enzyme') {
       return (
         <div className="enzyme-3d-container">
-          <MolecularViewer
-            allostericPulse={frame.allosteric || [false, false]}
-            frameIndex={frameIndex}
-          />
+          <MolecularViewer view={view} paused={paused} />
         </div>
       );
     }
     if (panel.id === 'regulatory') {
       return (
         <div className="waddington-3d-container">
-          <WaddingtonLandscape frameIndex={frameIndex} />
+          <WaddingtonLandscape signal={Boolean(frame.signal)} paused={paused} />
         </div>
       );
     }
@@ -553,31 +297,74 @@ function AsciiPanel({ panel, frameIndex }) {
   };
 
   return (
-    <div className={`ascii-panel ${panel.color}`}>
-      <div className="ascii-panel-header">
+    <div
+      className={`ascii-panel ${panel.color} ${expanded ? 'ascii-panel-expanded' : ''} ${hidden ? 'ascii-panel-hidden' : ''}`}
+      aria-hidden={hidden}
+    >
+      <button
+        type="button"
+        className="ascii-panel-header"
+        onClick={onToggleExpand}
+        aria-expanded={expanded}
+        title={expanded ? 'Back to all panels (Esc)' : 'Expand this panel'}
+      >
         <span className="ascii-panel-title">{panel.title}</span>
         <span className="ascii-panel-subtitle">{panel.subtitle}</span>
-      </div>
+        <span className="ascii-panel-expand" aria-hidden="true">{expanded ? '×' : '⤢'}</span>
+      </button>
       {renderVisualization()}
+      {panel.id === 'decision' && (
+        <WhatIfPanel levers={decisionLevers} shifts={shifts} onChange={setShifts} />
+      )}
+      {panel.id === 'enzyme' && (
+        <FitnessLandscape
+          landscape={nkLandscape}
+          trace={trace}
+          step={step}
+          method={optimizer.method}
+          seed={optimizer.seed}
+          onMethodChange={(method) => changeOptimizer({ method })}
+          onSeedChange={(seed) => changeOptimizer({ seed })}
+        />
+      )}
       {renderMetrics()}
     </div>
   );
 }
 
 export default function AsciiHeroAnimation() {
-  const [frameIndex, setFrameIndex] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const expandedPanel = panels.find(panel => panel.id === expandedId);
+
+  // One clock for all panels, 1500ms a tick for a contemplative pace, and one
+  // for an expanded panel so it can be played and scrubbed on its own. The
+  // shared clock holds while a panel is expanded.
+  const heroTransport = useTransport(HERO_TICKS, { enabled: !expandedPanel });
+  const panelTransport = useTransport(expandedPanel?.length ?? 1, { enabled: Boolean(expandedPanel) });
+
+  const toggleExpanded = (panel) => {
+    playExpand();
+    if (panel.id === expandedId) {
+      setExpandedId(null);
+      return;
+    }
+    panelTransport.seek(heroTransport.tick % panel.length);
+    panelTransport.setPlaying(heroTransport.playing);
+    panelTransport.setSpeed(heroTransport.speed);
+    setExpandedId(panel.id);
+  };
 
-  // Animation loop for all panels simultaneously
-  // Extended to 20 frames with slower timing for contemplative pace
-  // Total cycle: ~30 seconds (was ~8.4 seconds)
-  // Enzyme (6 frames) and Decision (4 frames) panels cycle within this
+  // Esc goes back to all panels
   useEffect(() => {
-    const frameInterval = setInterval(() => {
-      setFrameIndex((prev) => (prev + 1) % 20);
-    }, 1500); // 1500ms per frame for meditative, contemplative pace
+    if (!expandedId) return undefined;
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') setExpandedId(null);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [expandedId]);
 
-    return () => clearInterval(frameInterval);
-  }, []);
+  const transport = expandedPanel ? panelTransport : heroTransport;
 
   return (
     <div className="ascii-hero-wrapper">
@@ -586,15 +373,24 @@ export default function AsciiHeroAnimation() {
           AI AND ML APPLICATIONS IN COMPLEX SYSTEMS — FINDING THE LEVERS THAT CHANGE OUTCOMES
         </span>
       </div>
-      <div className="ascii-panels-grid">
-        {panels.map((panel) => (
-          <AsciiPanel
-            key={panel.id}
-            panel={panel}
-            frameIndex={frameIndex}
-          />
-        ))}
+      <div className={`ascii-panels-grid ${expandedPanel ? 'has-expanded' : ''}`}>
+        {panels.map((panel) => {
+          const expanded = panel.id === expandedId;
+          const hidden = Boolean(expandedPanel) && !expanded;
+          return (
+            <AsciiPanel
+              key={panel.id}
+              panel={panel}
+              frameIndex={expanded ? panelTransport.tick : heroTransport.tick}
+              paused={hidden || !transport.playing}
+              expanded={expanded}
+              hidden={hidden}
+              onToggleExpand={() => toggleExpanded(panel)}
+            />
+          );
+        })}
       </div>
+      <TransportBar transport={transport} label={expandedPanel ? expandedPanel.title.toLowerCase() : 'all panels'} />
     </div>
   );
 }
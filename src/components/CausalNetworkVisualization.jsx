@@ -1,153 +1,331 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo, useId } from 'react';
+import { playClick, playHover, playSelect } from '../utils/soundManager.js';
+import { modelFromGraph, interventionEffects, effectArrow, doLabel } from '../utils/causal.js';
+import { parseGraph, layoutGraph } from '../utils/causalGraph.js';
+import { analyzeIdentification, pathLabel } from '../utils/identification.js';
+import { graphToDot, graphToJson, serializeSvg, svgToPng, downloadBlob } from '../utils/causalExport.js';
+import { decisionGraph } from '../data/decisionGraph.js';
 
 // ============================================================================
-// CAUSAL NETWORK VISUALIZATION - Accurate DAG Structure
+// CAUSAL NETWORK VISUALIZATION - Layered DAG with interventions
 // ============================================================================
 // Dynamic visualization showing causal relationships between business levers
-// and outcomes with proper 4-tier hierarchy:
-//   TIER 1: MARKET (exogenous)
-//   TIER 2: PRICE, PROMO, CHANNEL, OPS (levers)
-//   TIER 3: AWARENESS, DEMAND, CONVERSION (mediators)
-//   TIER 4: SATISFACTION, RETENTION, REVENUE (outcomes)
-
-// Network node definitions - 4-tier layout
-const nodes = {
-  // TIER 1 - Exogenous (top, centered)
-  MARKET: { id: 'MARKET', label: 'MARKET', tier: 0, x: 170, y: 15, type: 'exogenous' },
-
-  // TIER 2 - Levers (row of 4)
-  PRICE: { id: 'PRICE', label: 'PRICE', tier: 1, x: 45, y: 60, type: 'lever' },
-  PROMO: { id: 'PROMO', label: 'PROMO', tier: 1, x: 120, y: 60, type: 'lever' },
-  CHANNEL: { id: 'CHANNEL', label: 'CHANNEL', tier: 1, x: 205, y: 60, type: 'lever' },
-  OPS: { id: 'OPS', label: 'OPS', tier: 1, x: 290, y: 60, type: 'lever' },
-
-  // TIER 3 - Mediators (row of 3)
-  AWARENESS: { id: 'AWARENESS', label: 'AWARE', tier: 2, x: 75, y: 115, type: 'mediator' },
-  DEMAND: { id: 'DEMAND', label: 'DEMAND', tier: 2, x: 170, y: 115, type: 'mediator' },
-  CONVERSION: { id: 'CONVERSION', label: 'CONV', tier: 2, x: 265, y: 115, type: 'mediator' },
-
-  // TIER 4 - Outcomes (row of 3)
-  SATISFACTION: { id: 'SATISFACTION', label: 'SATIS', tier: 3, x: 75, y: 170, type: 'outcome' },
-  RETENTION: { id: 'RETENTION', label: 'RETAIN', tier: 3, x: 170, y: 170, type: 'outcome' },
-  REVENUE: { id: 'REVENUE', label: 'REVENUE', tier: 3, x: 265, y: 170, type: 'outcome' },
+// and outcomes. The graph is a prop - JSON, a DOT subset or a dagitty string
+// (utils/causalGraph.js) - laid out in topological tiers with feedback edges
+// routed around the sides. The hero panel uses src/data/decisionGraph.js;
+// accomplishment cards can pass their own.
+//
+// Underneath is a structural causal model (utils/causal.js): edges carry
+// coefficients, nodes linear or logistic equations with noise. An intervention
+// computes numeric total and direct effects; glow strength and pulse timing
+// follow their magnitudes, and the feedback loops play out as lagged steps.
+//
+// Interactive mode: clicking a node applies do(X↑), a second click do(X↓), a
+// third clears it. The auto-cycle (through the levers, or the root nodes when
+// the graph has no levers) pauses while the pointer is over the network and
+// resumes after IDLE_MS without interaction.
+//
+// Adjust mode (utils/identification.js): pick a treatment X and an outcome Y;
+// clicking a node conditions on it. Open backdoor paths glow red, blocked ones
+// turn grey and dashed, directed X → Y paths stay green; mediators and
+// colliders are flagged, and the minimal adjustment sets can be applied with
+// one click.
+//
+// Export menu (utils/causalExport.js): SVG, PNG at a chosen width, DOT and
+// JSON, each capturing what is on screen - activated nodes, effects and the
+// do() label, or the adjust-mode query.
+
+// Resume the auto-cycle after this long without interaction
+const IDLE_MS = 6000;
+
+// Hero clock ticks per auto-cycle intervention
+export const INTERVENTION_TICKS = 5;
+
+// Node colors for a net increase / decrease (matching the edge colors)
+const EFFECT_COLORS = { up: '#00ff88', down: '#ff7b6b', mixed: '#888' };
+
+// Pulse timing: strong effects travel fast, weak ones slowly
+const EDGE_MS_FAST = 500;
+const EDGE_MS_SLOW = 1400;
+const FEEDBACK_MS = 1200; // one lagged step of the feedback loops
+const LAG_STEPS = 3; // immediate effect + two feedback updates
+
+// Effects smaller than this (in sd units) count as no change
+const EFFECT_EPSILON = 0.005;
+
+// Adjust mode: path colors and node role badges
+const PATH_COLORS = { backdoor: '#ff7b6b', causal: '#00ff88', blocked: '#555' };
+const ROLE_BADGES = {
+  treatment: { text: 'X', color: '#ffaa00' },
+  outcome: { text: 'Y', color: '#00ff88' },
+  mediator: { text: 'M', color: '#00d4ff' },
+  collider: { text: 'C', color: '#cc88ff' },
 };
 
-// Edge definitions with causal direction
-const edges = [
-  // From MARKET
-  { from: 'MARKET', to: 'DEMAND', positive: true },
-
-  // From PRICE (all negative effects)
-  { from: 'PRICE', to: 'DEMAND', positive: false },
-  { from: 'PRICE', to: 'CONVERSION', positive: false },
-  { from: 'PRICE', to: 'SATISFACTION', positive: false },
-
-  // From PROMO
-  { from: 'PROMO', to: 'AWARENESS', positive: true },
-
-  // From CHANNEL
-  { from: 'CHANNEL', to: 'AWARENESS', positive: true },
-  { from: 'CHANNEL', to: 'CONVERSION', positive: true },
-
-  // From OPS
-  { from: 'OPS', to: 'CONVERSION', positive: true },
-  { from: 'OPS', to: 'SATISFACTION', positive: true },
-
-  // From AWARENESS
-  { from: 'AWARENESS', to: 'DEMAND', positive: true },
+// PNG export widths in pixels
+const PNG_WIDTHS = [1200, 2400, 4800];
+
+// Default treatment and outcome: dagitty roles, else the first lever and the last outcome
+function defaultQuery(nodes) {
+  const list = Object.values(nodes);
+  const observed = list.filter(node => node.type !== 'latent');
+  const treatment = list.find(node => node.role === 'exposure') || observed.find(node => node.type === 'lever') || observed[0];
+  const outcome = list.find(node => node.role === 'outcome')
+    || [...observed].reverse().find(node => node.type === 'outcome' && node !== treatment)
+    || observed[observed.length - 1];
+  return {
+    treatment: treatment?.id,
+    outcome: outcome?.id,
+    conditioned: new Set(list.filter(node => node.adjusted).map(node => node.id)),
+  };
+}
 
-  // From DEMAND
-  { from: 'DEMAND', to: 'CONVERSION', positive: true },
+// Edge highlight in adjust mode: an open backdoor path wins over a directed
+// X → Y path, which wins over a blocked backdoor path
+function pathHighlights(paths) {
+  const rank = { blocked: 1, causal: 2, backdoor: 3 };
+  const highlights = new Map();
+  paths.forEach(path => {
+    if (path.kind === 'other' && !path.open) return;
+    const style = !path.open ? 'blocked' : path.kind === 'causal' ? 'causal' : 'backdoor';
+    path.edges.forEach(edge => {
+      const key = `${edge.from}-${edge.to}`;
+      if ((rank[highlights.get(key)] || 0) < rank[style]) highlights.set(key, style);
+    });
+  });
+  return highlights;
+}
 
-  // From CONVERSION
-  { from: 'CONVERSION', to: 'REVENUE', positive: true },
+// Auto-cycle direction: push the lever the way its first effect is beneficial
+function autoDirection(edges, nodeId) {
+  const firstEdge = edges.find(e => e.from === nodeId && !e.feedback);
+  return firstEdge && firstEdge.coef < 0 ? -1 : 1;
+}
 
-  // From SATISFACTION
-  { from: 'SATISFACTION', to: 'RETENTION', positive: true },
+// Change an edge transmits into its child's equation: |coef × Δparent|
+const edgeSignal = (edge, stepEffects) => Math.abs(edge.coef * (stepEffects.get(edge.from)?.total || 0));
+
+// Cascade schedule for one intervention. Each edge's pulse takes longer the
+// weaker the change it carries; a node lights up when its first pulse arrives.
+// Returns { nodes: [{ nodeId, delay }], edges: [{ edge, delay, duration }] }.
+function getCascade(model, source, stepEffects) {
+  const active = model.edges.filter(e => !e.feedback && edgeSignal(e, stepEffects) > EFFECT_EPSILON);
+  const maxSignal = Math.max(...active.map(e => edgeSignal(e, stepEffects)), EFFECT_EPSILON);
+  const arrival = new Map([[source, 0]]);
+  const scheduled = [];
+
+  model.order.forEach(nodeId => {
+    if (!arrival.has(nodeId)) return;
+    active.filter(e => e.from === nodeId).forEach(edge => {
+      const share = edgeSignal(edge, stepEffects) / maxSignal;
+      const delay = arrival.get(nodeId);
+      const duration = EDGE_MS_SLOW - (EDGE_MS_SLOW - EDGE_MS_FAST) * share;
+      scheduled.push({ edge, delay, duration });
+      arrival.set(edge.to, Math.min(arrival.get(edge.to) ?? Infinity, delay + duration));
+    });
+  });
 
-  // FEEDBACK LOOPS
-  { from: 'RETENTION', to: 'DEMAND', positive: true, feedback: true, side: 'left' },
-  { from: 'REVENUE', to: 'PROMO', positive: true, feedback: true, side: 'right' },
-];
+  return {
+    nodes: [...arrival].map(([nodeId, delay]) => ({ nodeId, delay })),
+    edges: scheduled,
+  };
+}
 
-// Intervention cycle - which levers activate in sequence
-const interventionCycle = ['PRICE', 'PROMO', 'CHANNEL', 'OPS'];
+// Parse, lay out and build the SCM for a graph prop
+function buildNetwork(graph) {
+  const parsed = parseGraph(graph);
+  const levers = parsed.nodes.filter(node => node.type === 'lever').map(node => node.id);
 
-// Calculate edge path with proper curves
-function getEdgePath(from, to, isFeedback = false, feedbackSide = null) {
-  const fromNode = nodes[from];
-  const toNode = nodes[to];
+  return {
+    layout: layoutGraph(parsed),
+    model: modelFromGraph(parsed),
+    cycle: levers.length > 0 ? levers : parsed.nodes.filter(node => node.type === 'exogenous').map(node => node.id),
+  };
+}
 
-  if (isFeedback) {
-    // RETENTION → DEMAND: curve around left side
-    if (feedbackSide === 'left') {
-      const leftX = -15;
-      const midY = (fromNode.y + toNode.y) / 2;
-      return `M ${fromNode.x - 25} ${fromNode.y} ` +
-             `C ${leftX} ${fromNode.y}, ${leftX} ${toNode.y}, ${toNode.x - 25} ${toNode.y}`;
-    }
-    // REVENUE → PROMO: curve around right side
-    if (feedbackSide === 'right') {
-      const rightX = 355;
-      const midY = (fromNode.y + toNode.y) / 2;
-      return `M ${fromNode.x + 25} ${fromNode.y} ` +
-             `C ${rightX} ${fromNode.y}, ${rightX} ${toNode.y}, ${toNode.x + 25} ${toNode.y}`;
+// Invalid graphs render a short error instead of taking the page down;
+// content collection graphs are already checked at build time
+export default function CausalNetworkVisualization({ graph = decisionGraph, frameIndex = 0 }) {
+  const network = useMemo(() => {
+    try {
+      return buildNetwork(graph);
+    } catch (err) {
+      return { error: err.message };
     }
-  }
+  }, [graph]);
 
-  // Determine connection points based on relative positions
-  const dy = toNode.y - fromNode.y;
-  const dx = toNode.x - fromNode.x;
+  if (network.error) {
+    return <div className="causal-network-container causal-network-error">graph error: {network.error}</div>;
+  }
+  return <CausalNetwork network={network} frameIndex={frameIndex} />;
+}
 
-  // From node: exit from bottom if going down a tier
-  const fromY = fromNode.y + 10;
-  const fromX = fromNode.x;
+function CausalNetwork({ network, frameIndex }) {
+  const { layout, model, cycle } = network;
+  const { nodes, edges } = layout;
+  const uid = useId().replace(/:/g, ''); // per-instance ids for filters and markers
+  const [activeNode, setActiveNode] = useState(null);
+  const [activatedNodes, setActivatedNodes] = useState(new Set());
+  const [pulsingEdges, setPulsingEdges] = useState(new Map());
+  const [intervention, setIntervention] = useState(null);
+  const [breathPhase, setBreathPhase] = useState(0);
+  const [nodeGlows, setNodeGlows] = useState(new Map());
+  const [effects, setEffects] = useState(new Map()); // nodeId -> { total, direct, standardized }
+  const [lagStep, setLagStep] = useState(0);
+  const [userIntervention, setUserIntervention] = useState(null); // { node, direction }
+  const [interacting, setInteracting] = useState(false);
+  const [mode, setMode] = useState('intervene'); // 'intervene' | 'adjust'
+  const [query, setQuery] = useState(() => defaultQuery(nodes));
+  const [lastDo, setLastDo] = useState(null); // { node, direction } of the cascade on screen
+  const [exportOpen, setExportOpen] = useState(false);
+  const [pngWidth, setPngWidth] = useState(PNG_WIDTHS[1]);
+  const [exportError, setExportError] = useState(null);
+  const pulseTimersRef = useRef([]);
+  const svgRef = useRef(null);
+  const idleTimerRef = useRef(null);
+  const lastTouchRef = useRef(0);
+
+  // Any pointer activity pauses the auto-cycle; idling resumes it. Pointer
+  // moves only note the time - state changes once when interaction starts,
+  // and the one pending timer re-arms itself until IDLE_MS have passed
+  const touch = () => {
+    lastTouchRef.current = performance.now();
+    if (idleTimerRef.current) return;
+    setInteracting(true);
+    const waitForIdle = (delay) => {
+      idleTimerRef.current = setTimeout(() => {
+        const idle = performance.now() - lastTouchRef.current;
+        if (idle < IDLE_MS) {
+          waitForIdle(IDLE_MS - idle);
+          return;
+        }
+        idleTimerRef.current = null;
+        setInteracting(false);
+        setUserIntervention(null);
+      }, delay);
+    };
+    waitForIdle(IDLE_MS);
+  };
 
-  // To node: enter from top
-  const toY = toNode.y - 10;
-  const toX = toNode.x;
+  useEffect(() => () => clearTimeout(idleTimerRef.current), []);
 
-  // Gentle curve for regular edges
-  const midY = (fromY + toY) / 2;
-  const curveOffset = Math.abs(dx) * 0.15;
+  // Adjust mode: the treatment/outcome query against the current conditioning set
+  const identification = useMemo(() => {
+    if (mode !== 'adjust' || !query.treatment || !query.outcome || query.treatment === query.outcome) return null;
+    try {
+      return analyzeIdentification(nodes, model.edges, query.treatment, query.outcome, query.conditioned);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [mode, query, network]);
+  const highlights = identification && !identification.error ? pathHighlights(identification.paths) : null;
 
-  return `M ${fromX} ${fromY} Q ${fromX + dx * 0.5} ${midY + curveOffset} ${toX} ${toY}`;
-}
+  useEffect(() => {
+    setQuery(defaultQuery(nodes));
+  }, [network]);
 
-// Get downstream nodes for cascade animation
-function getDownstreamPath(startNode) {
-  const visited = new Set();
-  const path = [];
+  // Switching modes drops whatever the other mode left on screen
+  const switchMode = (next) => {
+    if (next === mode) return;
+    playClick();
+    pulseTimersRef.current.forEach(timer => clearTimeout(timer));
+    setMode(next);
+    setUserIntervention(null);
+    setActiveNode(null);
+    setActivatedNodes(new Set());
+    setPulsingEdges(new Map());
+    setNodeGlows(new Map());
+    setEffects(new Map());
+    setIntervention(null);
+    setLastDo(null);
+  };
 
-  function traverse(nodeId, delay) {
-    if (visited.has(nodeId)) return;
-    visited.add(nodeId);
-    path.push({ nodeId, delay });
+  // What is on screen, for the exports
+  const exportState = () => {
+    const label = (id) => nodes[id]?.label ?? id;
+    const adjustCaption = () => {
+      const adjusted = [...query.conditioned].map(label);
+      return `X: ${label(query.treatment)} → Y: ${label(query.outcome)} · ${adjusted.length > 0 ? `adjust {${adjusted.join(', ')}}` : 'no adjustment'}`;
+    };
+    return {
+      caption: mode === 'adjust' ? adjustCaption()
+        : lastDo ? `${doLabel(lastDo.node, lastDo.direction)}${lagStep > 0 ? ` · t+${lagStep}` : ''}` : null,
+      activated: activatedNodes,
+      effects,
+      ...(mode === 'adjust' ? query : {}),
+    };
+  };
 
-    edges.forEach(edge => {
-      if (edge.from === nodeId && !edge.feedback) {
-        traverse(edge.to, delay + 1200);
+  const fileStem = () => (mode === 'adjust'
+    ? `causal-${query.treatment}-${query.outcome}`
+    : lastDo ? `causal-do-${lastDo.node}-${lastDo.direction > 0 ? 'up' : 'down'}` : 'causal-diagram'
+  ).toLowerCase();
+
+  const handleExport = async (format) => {
+    playSelect();
+    setExportOpen(false);
+    setExportError(null);
+    const state = exportState();
+    const stem = fileStem();
+    try {
+      if (format === 'dot') {
+        downloadBlob(new Blob([graphToDot(nodes, edges, state)], { type: 'text/vnd.graphviz' }), `${stem}.dot`);
+      } else if (format === 'json') {
+        downloadBlob(new Blob([graphToJson(nodes, edges, state)], { type: 'application/json' }), `${stem}.json`);
+      } else {
+        const svg = serializeSvg(svgRef.current, {
+          caption: state.caption,
+          background: getComputedStyle(document.body).backgroundColor,
+        });
+        if (format === 'svg') {
+          downloadBlob(new Blob([svg.text], { type: 'image/svg+xml' }), `${stem}.svg`);
+        } else {
+          downloadBlob(await svgToPng(svg, pngWidth), `${stem}-${pngWidth}px.png`);
+        }
       }
+    } catch (err) {
+      setExportError(`${format.toUpperCase()} export failed: ${err.message}`);
+    }
+  };
+
+  const setRole = (role, nodeId) => {
+    playClick();
+    setQuery(prev => {
+      const conditioned = new Set(prev.conditioned);
+      conditioned.delete(nodeId);
+      return { ...prev, [role]: nodeId, conditioned };
     });
-  }
+  };
 
-  traverse(startNode, 0);
-  return path;
-}
+  // Condition on a node, or stop conditioning on it. X, Y and latent nodes can't be.
+  const toggleConditioned = (nodeId) => {
+    if (nodeId === query.treatment || nodeId === query.outcome || nodes[nodeId].type === 'latent') return;
+    playClick();
+    setQuery(prev => {
+      const conditioned = new Set(prev.conditioned);
+      if (!conditioned.delete(nodeId)) conditioned.add(nodeId);
+      return { ...prev, conditioned };
+    });
+  };
 
-// Get edges from a node for pulse animation timing
-function getEdgesFrom(nodeId) {
-  return edges.filter(e => e.from === nodeId && !e.feedback);
-}
+  const applyAdjustmentSet = (set) => {
+    playClick();
+    setQuery(prev => ({ ...prev, conditioned: new Set(set) }));
+  };
 
-export default function CausalNetworkVisualization({ frameIndex = 0 }) {
-  const [activeNode, setActiveNode] = useState(null);
-  const [activatedNodes, setActivatedNodes] = useState(new Set());
-  const [pulsingEdges, setPulsingEdges] = useState(new Map());
-  const [intervention, setIntervention] = useState(null);
-  const [breathPhase, setBreathPhase] = useState(0);
-  const [nodeGlows, setNodeGlows] = useState(new Map());
-  const pulseTimersRef = useRef([]);
+  // Click cycles a node through do(X↑) → do(X↓) → no intervention
+  const handleNodeClick = (nodeId) => {
+    if (mode === 'adjust') {
+      toggleConditioned(nodeId);
+      return;
+    }
+    touch();
+    playClick();
+    setUserIntervention(prev => {
+      if (prev?.node !== nodeId) return { node: nodeId, direction: 1 };
+      return prev.direction === 1 ? { node: nodeId, direction: -1 } : null;
+    });
+  };
 
   // Breathing animation for subtle "living system" feel
   useEffect(() => {
@@ -158,113 +336,115 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
   }, []);
 
   // Determine which lever is currently being intervened on
-  const currentIntervention = interventionCycle[Math.floor(frameIndex / 5) % interventionCycle.length];
+  const currentIntervention = cycle.length > 0 ? cycle[Math.floor(frameIndex / INTERVENTION_TICKS) % cycle.length] : null;
+
+  // The user's intervention wins; while paused without one, the last cascade stays put
+  const paused = interacting || userIntervention !== null;
+  const target = mode === 'adjust' ? null : userIntervention
+    || (paused || !currentIntervention ? null : { node: currentIntervention, direction: autoDirection(edges, currentIntervention) });
+  const cycleIndex = Math.floor(frameIndex / INTERVENTION_TICKS);
+  const cascadeKey = target && `${target.node}:${target.direction}:${userIntervention ? 'user' : cycleIndex}`;
 
   // Handle intervention cycle with edge pulses and node glows
   useEffect(() => {
+    if (!target) return;
+
     pulseTimersRef.current.forEach(timer => clearTimeout(timer));
     pulseTimersRef.current = [];
 
-    const newActiveNode = currentIntervention;
-    const downstreamPath = getDownstreamPath(newActiveNode);
+    const newActiveNode = target.node;
+    const { steps } = interventionEffects(model, newActiveNode, target.direction, { steps: LAG_STEPS });
+    const cascade = getCascade(model, newActiveNode, steps[0]);
+
+    // Glow scales with each node's share of the largest standardized effect
+    const glowFor = (stepEffects, nodeId) => {
+      const magnitudes = [...stepEffects.values()].map(e => Math.abs(e.standardized));
+      const share = Math.abs(stepEffects.get(nodeId)?.standardized || 0) / Math.max(...magnitudes);
+      return 0.4 + 0.6 * share;
+    };
 
     setActiveNode(newActiveNode);
     setActivatedNodes(new Set([newActiveNode]));
     setPulsingEdges(new Map());
     setNodeGlows(new Map([[newActiveNode, 1]]));
+    setEffects(steps[0]);
+    setLagStep(0);
+    setIntervention(doLabel(newActiveNode, target.direction));
+    setLastDo({ node: newActiveNode, direction: target.direction });
 
-    // Determine intervention direction based on first edge
-    const firstEdge = edges.find(e => e.from === newActiveNode && !e.feedback);
-    const direction = firstEdge && !firstEdge.positive ? '↓' : '↑';
-    setIntervention(`do(${newActiveNode}${direction})`);
-
-    // Animate cascade
-    downstreamPath.forEach(({ nodeId, delay }) => {
-      if (delay > 0) {
-        const glowTimer = setTimeout(() => {
-          setActivatedNodes(prev => new Set([...prev, nodeId]));
-          setNodeGlows(prev => new Map([...prev, [nodeId, 1]]));
-
-          setTimeout(() => {
-            setNodeGlows(prev => {
-              const newMap = new Map(prev);
-              newMap.set(nodeId, 0.3);
-              return newMap;
-            });
-          }, 500);
-        }, delay);
-        pulseTimersRef.current.push(glowTimer);
-      }
-    });
-
-    // Animate edges
-    downstreamPath.forEach(({ nodeId, delay }) => {
-      const outgoingEdges = getEdgesFrom(nodeId);
-      outgoingEdges.forEach(edge => {
-        const edgeKey = `${edge.from}-${edge.to}`;
-        const edgePulseDuration = 1000;
-
-        const startTimer = setTimeout(() => {
-          const startTime = Date.now();
-          const animateEdge = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(1, elapsed / edgePulseDuration);
-
-            setPulsingEdges(prev => {
-              const newMap = new Map(prev);
-              newMap.set(edgeKey, progress);
-              return newMap;
-            });
-
-            if (progress < 1) {
-              requestAnimationFrame(animateEdge);
-            }
-          };
-          animateEdge();
-        }, delay);
-        pulseTimersRef.current.push(startTimer);
-      });
-    });
+    const schedule = (callback, delay) => pulseTimersRef.current.push(setTimeout(callback, delay));
 
-    // Pulse feedback edges after main cascade (slower, subtler)
-    const maxDelay = Math.max(...downstreamPath.map(p => p.delay), 0);
-    const feedbackEdges = edges.filter(e => e.feedback);
-    feedbackEdges.forEach((edge, i) => {
+    // Run one edge pulse from 0 to 1 over `duration`
+    const pulseEdge = (edge, duration) => {
       const edgeKey = `${edge.from}-${edge.to}`;
-      const feedbackDelay = maxDelay + 1500 + i * 1000;
-      const edgePulseDuration = 2000; // Slower for feedback
-
-      const feedbackTimer = setTimeout(() => {
-        const startTime = Date.now();
-        const animateFeedback = () => {
-          const elapsed = Date.now() - startTime;
-          const progress = Math.min(1, elapsed / edgePulseDuration);
-
-          setPulsingEdges(prev => {
-            const newMap = new Map(prev);
-            newMap.set(edgeKey, progress);
-            return newMap;
-          });
-
-          if (progress < 1) {
-            requestAnimationFrame(animateFeedback);
-          }
-        };
-        animateFeedback();
-      }, feedbackDelay);
-      pulseTimersRef.current.push(feedbackTimer);
+      const startTime = Date.now();
+      const animateEdge = () => {
+        const progress = Math.min(1, (Date.now() - startTime) / duration);
+
+        setPulsingEdges(prev => {
+          const newMap = new Map(prev);
+          newMap.set(edgeKey, progress);
+          return newMap;
+        });
+
+        if (progress < 1) {
+          requestAnimationFrame(animateEdge);
+        }
+      };
+      animateEdge();
+    };
+
+    // Light a node, then let it settle to a dimmer glow
+    const glowNode = (stepEffects, nodeId) => {
+      setActivatedNodes(prev => new Set([...prev, nodeId]));
+      setNodeGlows(prev => new Map([...prev, [nodeId, glowFor(stepEffects, nodeId)]]));
+
+      schedule(() => {
+        setNodeGlows(prev => {
+          const newMap = new Map(prev);
+          newMap.set(nodeId, 0.3 * glowFor(stepEffects, nodeId));
+          return newMap;
+        });
+      }, 500);
+    };
+
+    // Animate cascade (step 0: immediate effects)
+    cascade.nodes.forEach(({ nodeId, delay }) => {
+      if (delay > 0) schedule(() => glowNode(steps[0], nodeId), delay);
+    });
+    cascade.edges.forEach(({ edge, delay, duration }) => {
+      schedule(() => pulseEdge(edge, duration), delay);
     });
 
-    // Clear intervention text after brief display
-    const clearTimer = setTimeout(() => {
-      setIntervention(null);
-    }, 2000);
-    pulseTimersRef.current.push(clearTimer);
+    // Feedback loops: each lagged step pulses the feedback edges that carry a
+    // change, then updates the effects to that step's values
+    const cascadeEnd = Math.max(...cascade.nodes.map(n => n.delay), 0);
+    for (let t = 1; t < steps.length; t++) {
+      const stepStart = cascadeEnd + t * FEEDBACK_MS;
+      edges.filter(e => e.feedback && edgeSignal(e, steps[t - 1]) > EFFECT_EPSILON).forEach(edge => {
+        schedule(() => pulseEdge(edge, FEEDBACK_MS * 0.8), stepStart - FEEDBACK_MS * 0.8);
+      });
+      schedule(() => {
+        setEffects(steps[t]);
+        setLagStep(t);
+        steps[t].forEach((effect, nodeId) => {
+          if (nodeId !== newActiveNode && Math.abs(effect.standardized) > EFFECT_EPSILON) glowNode(steps[t], nodeId);
+        });
+      }, stepStart);
+    }
+
+    // Clear intervention text after brief display (the user's stays up)
+    if (!userIntervention) {
+      const clearTimer = setTimeout(() => {
+        setIntervention(null);
+      }, 2000);
+      pulseTimersRef.current.push(clearTimer);
+    }
 
     return () => {
       pulseTimersRef.current.forEach(timer => clearTimeout(timer));
     };
-  }, [currentIntervention, frameIndex]);
+  }, [cascadeKey, network]);
 
   // Calculate breathing scale for nodes
   const getBreathingScale = (nodeId) => {
@@ -274,17 +454,6 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
     return 1 + breathCycle * 0.02;
   };
 
-  // Approximate path length for dash animation
-  const getPathLength = (from, to, isFeedback, feedbackSide) => {
-    const fromNode = nodes[from];
-    const toNode = nodes[to];
-    const dx = toNode.x - fromNode.x;
-    const dy = toNode.y - fromNode.y;
-    const straightDist = Math.sqrt(dx * dx + dy * dy);
-    if (isFeedback) return straightDist * 2.5;
-    return straightDist * 1.3;
-  };
-
   return (
     <div className="causal-network-container">
       {/* Intervention notation */}
@@ -294,19 +463,108 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
           opacity: 0.8,
           transition: 'opacity 0.3s ease-out'
         }}>
-          {intervention}
+          {intervention}{lagStep > 0 && ` · t+${lagStep}`}
+        </div>
+      )}
+
+      {/* Mode switch: do() interventions or the adjustment set explorer */}
+      <div className="causal-mode">
+        {[['intervene', 'do(·)'], ['adjust', 'adjust']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            className={mode === value ? 'active' : ''}
+            aria-pressed={mode === value}
+            onClick={() => switchMode(value)}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className={exportOpen ? 'active' : ''}
+          aria-expanded={exportOpen}
+          aria-haspopup="menu"
+          onClick={() => {
+            touch();
+            playClick();
+            setExportError(null);
+            setExportOpen(open => !open);
+          }}
+        >
+          export ▾
+        </button>
+      </div>
+
+      {/* Export menu: captures the current intervention / adjust state */}
+      {exportOpen && (
+        <div
+          className="causal-export-menu"
+          role="menu"
+          onPointerMove={touch}
+          onKeyDown={(e) => e.key === 'Escape' && setExportOpen(false)}
+        >
+          <button type="button" role="menuitem" onClick={() => handleExport('svg')}>SVG</button>
+          <div className="causal-export-png">
+            <button type="button" role="menuitem" onClick={() => handleExport('png')}>PNG</button>
+            <select
+              aria-label="PNG width"
+              value={pngWidth}
+              onChange={(e) => setPngWidth(Number(e.target.value))}
+            >
+              {PNG_WIDTHS.map(width => <option key={width} value={width}>{width}px</option>)}
+            </select>
+          </div>
+          <button type="button" role="menuitem" onClick={() => handleExport('dot')}>DOT</button>
+          <button type="button" role="menuitem" onClick={() => handleExport('json')}>JSON</button>
+        </div>
+      )}
+
+      {/* Adjust mode: treatment / outcome pickers */}
+      {mode === 'adjust' && (
+        <div className="causal-query">
+          {[['treatment', 'X'], ['outcome', 'Y']].map(([role, label]) => (
+            <label key={role}>
+              {label}
+              <select value={query[role] || ''} onChange={(e) => setRole(role, e.target.value)}>
+                {Object.values(nodes).filter(node => node.type !== 'latent').map(node => (
+                  <option key={node.id} value={node.id}>{node.label}</option>
+                ))}
+              </select>
+            </label>
+          ))}
         </div>
       )}
 
+      {/* Adjust mode: backdoor paths and adjustment sets for the current query */}
+      {identification && (
+        <IdentificationReport
+          identification={identification}
+          nodes={nodes}
+          conditioned={query.conditioned}
+          onApply={applyAdjustmentSet}
+        />
+      )}
+
+      {/* Interaction hint, or why the last export failed */}
+      <div className={`causal-hint ${exportError ? 'causal-hint-error' : ''}`} role={exportError ? 'alert' : undefined}>
+        {exportError ? exportError : mode === 'adjust'
+          ? (query.treatment === query.outcome ? 'pick two different nodes' : 'click a node to condition on it')
+          : userIntervention ? 'click again: flip · third click: clear' : paused ? 'paused · click a node' : 'click a node to intervene'}
+      </div>
+
       {/* SVG Network Layer */}
       <svg
+        ref={svgRef}
         className="causal-network-svg"
-        viewBox="-20 -10 380 210"
+        viewBox={layout.viewBox}
         preserveAspectRatio="xMidYMid meet"
+        onPointerEnter={touch}
+        onPointerMove={touch}
       >
         <defs>
           {/* Glow filter for active nodes */}
-          <filter id="glow-amber" x="-50%" y="-50%" width="200%" height="200%">
+          <filter id={`${uid}-glow-amber`} x="-50%" y="-50%" width="200%" height="200%">
             <feGaussianBlur stdDeviation="3" result="coloredBlur"/>
             <feMerge>
               <feMergeNode in="coloredBlur"/>
@@ -314,7 +572,7 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
             </feMerge>
           </filter>
 
-          <filter id="glow-strong" x="-50%" y="-50%" width="200%" height="200%">
+          <filter id={`${uid}-glow-strong`} x="-50%" y="-50%" width="200%" height="200%">
             <feGaussianBlur stdDeviation="5" result="coloredBlur"/>
             <feMerge>
               <feMergeNode in="coloredBlur"/>
@@ -323,7 +581,7 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
           </filter>
 
           {/* Edge glow filter for pulses */}
-          <filter id="edge-glow" x="-20%" y="-20%" width="140%" height="140%">
+          <filter id={`${uid}-edge-glow`} x="-20%" y="-20%" width="140%" height="140%">
             <feGaussianBlur stdDeviation="2" result="blur"/>
             <feMerge>
               <feMergeNode in="blur"/>
@@ -333,7 +591,7 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
 
           {/* Arrowhead marker */}
           <marker
-            id="arrowhead-amber"
+            id={`${uid}-arrowhead-amber`}
             markerWidth="6"
             markerHeight="4"
             refX="5"
@@ -343,7 +601,7 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
             <polygon points="0 0, 6 2, 0 4" fill="#ffaa00" opacity="0.6" />
           </marker>
           <marker
-            id="arrowhead-red"
+            id={`${uid}-arrowhead-red`}
             markerWidth="6"
             markerHeight="4"
             refX="5"
@@ -357,14 +615,33 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
         {/* Edges */}
         <g className="causal-edges">
           {edges.map((edge, i) => {
-            const isFeedback = edge.feedback || false;
-            const feedbackSide = edge.side || null;
-            const path = getEdgePath(edge.from, edge.to, isFeedback, feedbackSide);
-            const isNegative = !edge.positive;
+            const isFeedback = edge.feedback;
+            const path = edge.path;
+            const isNegative = edge.coef < 0;
             const edgeKey = `${edge.from}-${edge.to}`;
+
+            // Adjust mode draws the X-Y paths instead of the intervention
+            if (highlights) {
+              const highlight = highlights.get(edgeKey);
+              return (
+                <path
+                  key={i}
+                  className={`causal-path ${highlight || ''}`}
+                  d={path}
+                  fill="none"
+                  stroke={highlight ? PATH_COLORS[highlight] : '#444'}
+                  strokeWidth={highlight && highlight !== 'blocked' ? 2 : 1}
+                  strokeOpacity={highlight ? 0.9 : 0.15}
+                  strokeDasharray={highlight === 'blocked' || isFeedback ? '3,3' : 'none'}
+                  filter={highlight === 'backdoor' ? `url(#${uid}-edge-glow)` : undefined}
+                  markerEnd={`url(#${uid}-arrowhead-${highlight === 'backdoor' ? 'red' : 'amber'})`}
+                />
+              );
+            }
+
             const pulseProgress = pulsingEdges.get(edgeKey) || 0;
             const isPulsing = pulseProgress > 0 && pulseProgress < 1;
-            const pathLength = getPathLength(edge.from, edge.to, isFeedback, feedbackSide);
+            const pathLength = edge.length;
 
             // Colors: amber for positive, coral/red for negative
             const baseColor = isNegative ? '#ff7b6b' : '#ffaa00';
@@ -387,7 +664,7 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
                   strokeWidth={thickness}
                   strokeOpacity={baseOpacity}
                   strokeDasharray={isFeedback ? '6,4' : 'none'}
-                  markerEnd={isNegative ? 'url(#arrowhead-red)' : 'url(#arrowhead-amber)'}
+                  markerEnd={isNegative ? `url(#${uid}-arrowhead-red)` : `url(#${uid}-arrowhead-amber)`}
                 />
 
                 {/* Pulse overlay */}
@@ -400,11 +677,25 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
                     strokeOpacity={activeOpacity}
                     strokeDasharray={`${pathLength * 0.12} ${pathLength * 0.88}`}
                     strokeDashoffset={pathLength * (1 - pulseProgress)}
-                    filter="url(#edge-glow)"
+                    filter={`url(#${uid}-edge-glow)`}
                     style={{ transition: 'none' }}
                   />
                 )}
 
+                {/* Coefficient label once the edge has carried this intervention */}
+                {pulseProgress > 0 && (
+                  <text
+                    className="edge-coefficient"
+                    x={edge.mid.x}
+                    y={edge.mid.y}
+                    fill={baseColor}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                  >
+                    {edge.coef > 0 ? '+' : ''}{edge.coef.toFixed(1)}
+                  </text>
+                )}
+
                 {/* Completed pulse glow */}
                 {pulseProgress >= 1 && (
                   <path
@@ -431,16 +722,22 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
             const isSource = node.id === activeNode;
             const breathScale = getBreathingScale(node.id);
             const glowIntensity = nodeGlows.get(node.id) || 0;
+            const nodeEffect = isActive && !isSource ? effects.get(node.id) : null;
+            const netEffect = nodeEffect && Math.abs(nodeEffect.standardized) > EFFECT_EPSILON ? nodeEffect.standardized : 0;
+            const effectColor = nodeEffect && (
+              netEffect > 0 ? EFFECT_COLORS.up : netEffect < 0 ? EFFECT_COLORS.down : EFFECT_COLORS.mixed
+            );
 
             // Node styling by type
             const isLever = node.type === 'lever';
             const isExogenous = node.type === 'exogenous';
             const isMediatorType = node.type === 'mediator';
             const isOutcome = node.type === 'outcome';
+            const isLatent = node.type === 'latent'; // unobserved common cause (dagitty <->)
 
             // Glow filter
-            const nodeFilter = isSource ? 'url(#glow-strong)' :
-                              (glowIntensity > 0.5 ? 'url(#glow-amber)' : 'none');
+            const nodeFilter = isSource ? `url(#${uid}-glow-strong)` :
+                              (glowIntensity > 0.5 ? `url(#${uid}-glow-amber)` : 'none');
 
             // Fill and stroke based on type
             let fill = 'rgba(0, 0, 0, 0.5)';
@@ -479,13 +776,45 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
               labelColor = '#55aa77';
             }
 
+            // Net direction of the intervention's effect on this node
+            if (effectColor) {
+              stroke = effectColor;
+              labelColor = effectColor;
+            }
+
+            // Adjust mode: the node's role in the X-Y query; conditioned nodes are boxed
+            const isConditioned = mode === 'adjust' && query.conditioned.has(node.id);
+            const role = !identification || identification.error ? null
+              : node.id === query.treatment ? 'treatment'
+              : node.id === query.outcome ? 'outcome'
+              : identification.mediators.has(node.id) ? 'mediator'
+              : identification.colliders.has(node.id) ? 'collider'
+              : null;
+            const roleBadge = role && ROLE_BADGES[role];
+            if (role === 'treatment' || role === 'outcome') {
+              stroke = roleBadge.color;
+              labelColor = roleBadge.color;
+            }
+
             return (
               <g
                 key={node.id}
-                className={`causal-node ${isActive ? 'active' : ''}`}
+                className={`causal-node interactive ${isActive ? 'active' : ''}`}
                 transform={`translate(${node.x}, ${node.y}) scale(${breathScale * (1 + glowIntensity * 0.08)})`}
                 filter={nodeFilter}
                 style={{ transformOrigin: 'center', transition: 'transform 0.15s ease-out' }}
+                role="button"
+                tabIndex={0}
+                aria-label={mode === 'adjust' ? `Condition on ${node.id}` : `Intervene on ${node.id}`}
+                aria-pressed={mode === 'adjust' ? isConditioned : undefined}
+                onClick={() => handleNodeClick(node.id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    handleNodeClick(node.id);
+                  }
+                }}
+                onMouseEnter={playHover}
               >
                 {/* Node background */}
                 <rect
@@ -497,8 +826,24 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
                   fill={fill}
                   stroke={stroke}
                   strokeWidth={isSource ? 2 : strokeWidth}
+                  strokeDasharray={isLatent ? '3,2' : undefined}
                 />
 
+                {/* Conditioning box (adjust mode) */}
+                {isConditioned && (
+                  <rect
+                    className="node-conditioned"
+                    x="-29"
+                    y="-13"
+                    width="58"
+                    height="26"
+                    rx="2"
+                    fill="none"
+                    stroke="#e0e0e0"
+                    strokeWidth="1"
+                  />
+                )}
+
                 {/* Lever indicator bar */}
                 {isLever && (
                   <rect
@@ -536,6 +881,38 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
                 >
                   {node.label}
                 </text>
+
+                {/* Net effect badge: direction and standardized magnitude (sd units) */}
+                {nodeEffect && (
+                  <text
+                    className="node-effect"
+                    x="27"
+                    y="-7"
+                    fill={effectColor}
+                    fontSize="6"
+                    fontWeight="600"
+                  >
+                    {effectArrow(netEffect)}{Math.abs(netEffect).toFixed(2)}
+                    <title>
+                      {`total ${nodeEffect.total.toFixed(3)} · direct ${nodeEffect.direct.toFixed(3)} · ${netEffect.toFixed(2)} sd`}
+                    </title>
+                  </text>
+                )}
+
+                {/* Role badge (adjust mode): X, Y, mediator or collider */}
+                {roleBadge && (
+                  <text
+                    className="node-effect"
+                    x="27"
+                    y="-7"
+                    fill={roleBadge.color}
+                    fontSize="6"
+                    fontWeight="600"
+                  >
+                    {roleBadge.text}
+                    <title>{role}</title>
+                  </text>
+                )}
               </g>
             );
           })}
@@ -552,3 +929,58 @@ export default function CausalNetworkVisualization({ frameIndex = 0 }) {
     </div>
   );
 }
+
+// Adjust mode readout: backdoor path count, whether the conditioning set
+// identifies the effect, and the minimal adjustment sets
+function IdentificationReport({ identification, nodes, conditioned, onApply }) {
+  if (identification.error) {
+    return <div className="causal-report">{identification.error}</div>;
+  }
+
+  const { paths, adjustmentSets, frontDoorSets, badControls, identified } = identification;
+  const label = (id) => nodes[id].label;
+  const backdoor = paths.filter(path => path.kind === 'backdoor');
+  const open = paths.filter(path => path.open && path.kind !== 'causal');
+  const setLabel = (set) => `{${set.map(label).join(', ')}}`;
+  const isCurrent = (set) => set.length === conditioned.size && set.every(id => conditioned.has(id));
+
+  return (
+    <div className="causal-report">
+      <div>
+        backdoor paths: {backdoor.length}
+        {backdoor.length > 0 && ` · ${backdoor.filter(path => path.open).length} open`}
+        {' · '}
+        <span className={identified ? 'identified' : 'confounded'}>
+          {identified ? `✓ ${setLabel([...conditioned])} identifies the effect` : '✗ confounded'}
+        </span>
+      </div>
+      {badControls.length > 0 && (
+        <div className="confounded">{badControls.map(label).join(', ')}: descendant of X - don't adjust</div>
+      )}
+      {open.map(path => (
+        <div key={pathLabel(path)} className="causal-report-path">
+          open: {pathLabel(path, label)}
+          {path.openedBy.length > 0 && ` (collider opened by ${path.openedBy.map(label).join(', ')})`}
+        </div>
+      ))}
+      <div className="causal-report-sets">
+        {adjustmentSets.length > 0 ? 'adjust for' : frontDoorSets.length > 0 ? 'no backdoor set · front door via' : 'no adjustment set'}
+        {adjustmentSets.map(set => (
+          <button
+            key={set.join()}
+            type="button"
+            className={isCurrent(set) ? 'active' : ''}
+            onClick={() => onApply(set)}
+          >
+            {setLabel(set)}
+          </button>
+        ))}
+        {adjustmentSets.length === 0 && frontDoorSets.map(set => (
+          <span key={set.join()} title="estimate X → M and M → Y (adjusting for X), then chain them">
+            {setLabel(set)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,107 +1,124 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { playClick, playHover, playSelect, playExpand, playCollapse } from '../utils/soundManager.js';
+import {
+  FACET_FAMILIES,
+  emptyFacets,
+  hasActiveFacets,
+  filterByFacets,
+  toggleFacet,
+  facetCounts,
+} from '../utils/facets.js';
+import { readFilterState, writeFilterState, filterStateToSearch } from '../utils/urlState.js';
+import { searchIndex as runSearch, highlightSegments } from '../utils/search.js';
+import { tagUrl } from '../utils/paths.js';
+import { onSiteEvent } from '../utils/siteEvents.js';
+import CausalNetworkVisualization from './CausalNetworkVisualization.jsx';
+import MolecularViewer from './MolecularViewer.jsx';
+
+// Row labels for the facet filter panel
+const facetLabels = { goals: 'Goal', methods: 'Method', industries: 'Industry' };
+
+// Tag family grouped by each view mode
+const viewFamilies = { goal: 'goals', method: 'methods', industry: 'industries' };
+
+// Text with search matches wrapped in <mark>
+function Highlighted({ text, terms }) {
+  return highlightSegments(text, terms).map((segment, i) =>
+    segment.match
+      ? <mark key={i} className="search-hit">{segment.text}</mark>
+      : segment.text
+  );
+}
+
+// Accomplishments come from the `accomplishments` content collection and the
+// category registry from src/data/categories.js, both passed in by index.astro
+// along with a search index built from the same entries at build time and the
+// post tag counts (method tags with posts link to their tag archive)
+export default function FilterToggle({ accomplishments, categories: registry, searchIndex, postTags = {} }) {
+  const { goals: goalCategories, methods: methodCategories, industries: industryCategories } = registry;
 
-// 6 ML Project Accomplishments
-const accomplishments = [
-  {
-    id: 1,
-    title: "Revenue Optimization Model",
-    summary: "Built ML model that lifted B2B conversion rates 23% by identifying high-intent prospects and optimal outreach timing.",
-    goals: ["grow-revenue", "improve-targeting"],
-    methods: ["causal-inference", "interpretable-ml"],
-    industries: ["b2b-sales", "saas"],
-    details: "Used gradient boosting with SHAP explanations to surface the 12 features most predictive of deal closure. Deployed as real-time scoring API integrated with Salesforce, enabling sales reps to prioritize outreach based on predicted conversion probability and optimal contact timing windows.",
-    metrics: ["23% conversion lift", "2.1x ROI on sales spend"],
-  },
-  {
-    id: 2,
-    title: "Demand Forecasting Pipeline",
-    summary: "Deployed hierarchical forecasting system reducing inventory costs by $2.4M annually through better demand prediction.",
-    goals: ["reduce-costs", "improve-operations"],
-    methods: ["mlops", "causal-inference"],
-    industries: ["supply-chain", "retail"],
-    details: "Implemented Prophet + LightGBM ensemble with automated retraining via Airflow. System handles 50k SKUs across 200 locations with daily forecast updates. Includes anomaly detection for demand spikes and integration with ERP for automated reorder triggers.",
-    metrics: ["$2.4M annual savings", "34% forecast accuracy improvement"],
-  },
-  {
-    id: 3,
-    title: "Customer Support Chatbot",
-    summary: "Fine-tuned LLM handling 40% of support tickets autonomously with 94% customer satisfaction.",
-    goals: ["reduce-costs", "improve-experience"],
-    methods: ["llms", "mlops"],
-    industries: ["customer-support", "e-commerce"],
-    details: "RAG architecture with custom fine-tuning on 50k historical tickets. Includes escalation detection, sentiment monitoring, and seamless handoff to human agents. Integrated with Zendesk for full ticket lifecycle management and automated follow-ups.",
-    metrics: ["40% ticket deflection", "94% CSAT score"],
-  },
-  {
-    id: 4,
-    title: "Dynamic Pricing Engine",
-    summary: "Causal ML system for real-time price optimization, driving 18% margin improvement across product catalog.",
-    goals: ["grow-revenue", "improve-margins"],
-    methods: ["causal-inference", "interpretable-ml"],
-    industries: ["e-commerce", "retail"],
-    details: "Double ML for causal effect estimation combined with contextual bandits for continuous optimization. Handles competitor monitoring, elasticity modeling, and segment-specific pricing. Includes guardrails for price fairness and brand consistency.",
-    metrics: ["18% margin improvement", "12% volume increase"],
-  },
-  {
-    id: 5,
-    title: "Market Expansion Analysis",
-    summary: "Location intelligence model identifying optimal retail expansion sites with 85% success rate on launched locations.",
-    goals: ["expand-market", "reduce-risk"],
-    methods: ["interpretable-ml", "causal-inference"],
-    industries: ["retail", "real-estate"],
-    details: "Geospatial features + demographic clustering with explainable predictions for site selection. Model incorporates foot traffic data, competitor proximity, demographic fit scores, and cannibalization risk assessment. Outputs include confidence intervals and key risk factors.",
-    metrics: ["85% site success rate", "14 new locations launched"],
-  },
-  {
-    id: 6,
-    title: "Document Intelligence System",
-    summary: "LLM-powered contract analysis reducing legal review time by 60% while maintaining 99%+ extraction accuracy.",
-    goals: ["reduce-costs", "improve-operations"],
-    methods: ["llms", "mlops"],
-    industries: ["legal", "finance"],
-    details: "Custom extraction pipeline with multi-stage validation workflows. Handles clause identification, obligation extraction, risk flagging, and comparison against standard templates. Includes human-in-the-loop review interface with active learning for continuous improvement.",
-    metrics: ["60% time reduction", "99.2% extraction accuracy"],
-  },
-];
-
-// Goal Categories (Business Outcomes)
-const goalCategories = {
-  'grow-revenue': { label: 'Grow Revenue', icon: '📈', description: 'Increase sales, conversions, and revenue' },
-  'reduce-costs': { label: 'Reduce Costs', icon: '💰', description: 'Cut operational expenses and inefficiencies' },
-  'improve-operations': { label: 'Improve Operations', icon: '⚡', description: 'Streamline processes and automation' },
-  'improve-experience': { label: 'Improve Experience', icon: '😊', description: 'Enhance customer satisfaction' },
-  'expand-market': { label: 'Expand Market', icon: '🚀', description: 'Enter new markets and segments' },
-  'improve-targeting': { label: 'Improve Targeting', icon: '🎯', description: 'Better audience and lead targeting' },
-  'improve-margins': { label: 'Improve Margins', icon: '📊', description: 'Optimize pricing and profitability' },
-  'reduce-risk': { label: 'Reduce Risk', icon: '🛡️', description: 'Minimize business and operational risk' },
-};
-
-// Method Categories (ML Techniques)
-const methodCategories = {
-  'llms': { label: 'LLMs & GenAI', icon: '🔮', description: 'Large language models and generative AI' },
-  'interpretable-ml': { label: 'Interpretable ML', icon: '💡', description: 'Transparent models with explainable insights' },
-  'causal-inference': { label: 'Causal Inference', icon: '🎯', description: 'Cause-effect analysis and impact measurement' },
-  'mlops': { label: 'MLOps', icon: '⚙️', description: 'Production ML systems and pipelines' },
-};
-
-// Industry Categories
-const industryCategories = {
-  'b2b-sales': { label: 'B2B Sales', icon: '🤝', description: 'Enterprise sales and account management' },
-  'saas': { label: 'SaaS', icon: '☁️', description: 'Software as a service' },
-  'supply-chain': { label: 'Supply Chain', icon: '📦', description: 'Inventory, logistics, demand planning' },
-  'retail': { label: 'Retail', icon: '🏪', description: 'Store operations and expansion' },
-  'customer-support': { label: 'Customer Support', icon: '💬', description: 'Help desk and ticket management' },
-  'e-commerce': { label: 'E-commerce', icon: '🛒', description: 'Online retail and marketplaces' },
-  'legal': { label: 'Legal', icon: '⚖️', description: 'Contract analysis and compliance' },
-  'finance': { label: 'Finance', icon: '💵', description: 'Financial services and banking' },
-  'real-estate': { label: 'Real Estate', icon: '🏢', description: 'Property and location intelligence' },
-};
-
-export default function FilterToggle() {
   const [viewMode, setViewMode] = useState('goal'); // 'goal', 'method', or 'industry'
   const [expandedId, setExpandedId] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState(null);
+  const [facets, setFacets] = useState(emptyFacets);
+  const [facetMode, setFacetMode] = useState('any'); // 'any' (OR) or 'all' (AND) within a family
+  const [copiedId, setCopiedId] = useState(null);
+  const [query, setQuery] = useState('');
+  const rootRef = useRef(null);
+  const searchInputRef = useRef(null);
+  const scrollTargetRef = useRef(null);
+
+  // Restore view/category/expanded card from the URL, dropping anything unknown
+  const applyUrlState = (scrollToCard) => {
+    const state = readFilterState();
+    const family = registry[viewFamilies[state.viewMode]];
+    const hasProject = accomplishments.some(a => a.id === state.expandedId);
+
+    setViewMode(state.viewMode);
+    setSelectedCategory(family[state.selectedCategory] ? state.selectedCategory : null);
+    setExpandedId(hasProject ? state.expandedId : null);
+    if (scrollToCard && hasProject) scrollTargetRef.current = state.expandedId;
+  };
+
+  // Read the URL after hydration (SSR renders the defaults) and follow back/forward
+  useEffect(() => {
+    applyUrlState(true);
+    const handlePopState = () => applyUrlState(false);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Terminal-style `/` shortcut focuses the search box
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== '/' || event.metaKey || event.ctrlKey || event.altKey) return;
+      const target = event.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      event.preventDefault();
+      searchInputRef.current?.focus();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Commands from the shell overlay (filter, cat, grep). Re-subscribed on every
+  // state change so navigate() sees the current view.
+  useEffect(() => {
+    const unsubscribers = [
+      onSiteEvent('filter', ({ viewMode: mode, selectedCategory: category }) => {
+        navigate({ viewMode: mode, selectedCategory: category, expandedId: null });
+      }),
+      onSiteEvent('project', ({ id }) => {
+        if (!accomplishments.some(a => a.id === id)) return;
+        // Clear anything that could hide the card, then open and scroll to it
+        setFacets(emptyFacets());
+        setQuery('');
+        scrollTargetRef.current = id;
+        navigate({ selectedCategory: null, expandedId: id });
+      }),
+      onSiteEvent('search', ({ query: text }) => setQuery(text)),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [viewMode, selectedCategory, expandedId]);
+
+  // Scroll a deep-linked card into view once it has rendered expanded
+  useEffect(() => {
+    const target = scrollTargetRef.current;
+    if (!target) return;
+    scrollTargetRef.current = null;
+    rootRef.current
+      ?.querySelector(`[data-project="${target}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [expandedId]);
+
+  // Update URL-backed state and record it as a history entry
+  const navigate = (changes) => {
+    const next = { viewMode, selectedCategory, expandedId, ...changes };
+    setViewMode(next.viewMode);
+    setSelectedCategory(next.selectedCategory);
+    setExpandedId(next.expandedId);
+    writeFilterState(next);
+  };
 
   // Select category based on view mode
   const getCategoryConfig = () => {
@@ -119,14 +136,43 @@ export default function FilterToggle() {
 
   const { categories, key: categoryKey } = getCategoryConfig();
 
+  // Ranked search hits, or null when there is no query
+  const searchResults = useMemo(
+    () => (query.trim() ? runSearch(searchIndex, query) : null),
+    [searchIndex, query]
+  );
+
+  // Matched terms per project, for highlighting
+  const matchedTerms = useMemo(
+    () => new Map((searchResults || []).map(result => [result.id, result.terms])),
+    [searchResults]
+  );
+
+  // Facet filters and search narrow the list first (search hits keep their
+  // ranking order); the view mode then groups what's left
+  const filtered = useMemo(() => {
+    const faceted = filterByFacets(accomplishments, facets, facetMode);
+    if (!searchResults) return faceted;
+    return searchResults
+      .map(result => faceted.find(a => a.id === result.id))
+      .filter(Boolean);
+  }, [accomplishments, facets, facetMode, searchResults]);
+
+  const counts = useMemo(
+    () => facetCounts(accomplishments, facets, registry, facetMode),
+    [accomplishments, facets, registry, facetMode]
+  );
+
+  const filtersActive = hasActiveFacets(facets);
+
   // Group accomplishments by selected category type
   const grouped = useMemo(() => {
     const groups = {};
     Object.keys(categories).forEach(cat => {
-      groups[cat] = accomplishments.filter(a => a[categoryKey]?.includes(cat));
+      groups[cat] = filtered.filter(a => a[categoryKey]?.includes(cat));
     });
     return groups;
-  }, [viewMode]);
+  }, [viewMode, filtered]);
 
   // Filter to show only selected category or all
   const displayGroups = selectedCategory
@@ -134,14 +180,46 @@ export default function FilterToggle() {
     : grouped;
 
   const handleViewChange = (mode) => {
-    setViewMode(mode);
-    setSelectedCategory(null);
-    setExpandedId(null);
+    navigate({ viewMode: mode, selectedCategory: null, expandedId: null });
     playClick(); // Retro click sound
   };
 
+  const handleFacetToggle = (family, tag) => {
+    setFacets(prev => toggleFacet(prev, family, tag));
+    navigate({ expandedId: null });
+    playSelect();
+  };
+
+  const handleFacetModeChange = (mode) => {
+    setFacetMode(mode);
+    playClick();
+  };
+
+  const handleClearAll = () => {
+    setFacets(emptyFacets());
+    setQuery('');
+    navigate({ selectedCategory: null, expandedId: null });
+    playClick();
+  };
+
+  const handleSearchKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setQuery('');
+      event.currentTarget.blur();
+    }
+  };
+
+  // Copy a card's permalink instead of following it
+  const handleCopyLink = (event, id) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const url = new URL(event.currentTarget.getAttribute('href'), window.location.href).href;
+    navigator.clipboard?.writeText(url).then(() => setCopiedId(id), () => {});
+    playClick();
+  };
+
   return (
-    <div>
+    <div ref={rootRef} data-filter-toggle>
       <div className="filter-bar">
         <div className="filter-controls">
           <span className="filter-label">View by:</span>
@@ -172,7 +250,7 @@ export default function FilterToggle() {
 
         {selectedCategory && (
           <button
-            onClick={() => { setSelectedCategory(null); playClick(); }}
+            onClick={() => { navigate({ selectedCategory: null }); playClick(); }}
             onMouseEnter={playHover}
             className="filter-label hover-highlight"
             style={{ background: 'none', border: 'none', cursor: 'pointer' }}
@@ -182,11 +260,98 @@ export default function FilterToggle() {
         )}
       </div>
 
+      <div className="search-bar">
+        <label className="search-prompt" htmlFor="project-search">grep</label>
+        <input
+          id="project-search"
+          ref={searchInputRef}
+          type="search"
+          className="search-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleSearchKeyDown}
+          placeholder="search projects…"
+          autoComplete="off"
+          spellCheck="false"
+        />
+        {searchResults ? (
+          <span className="search-count">
+            {filtered.length} match{filtered.length === 1 ? '' : 'es'}
+          </span>
+        ) : (
+          <kbd className="search-hint">/</kbd>
+        )}
+      </div>
+
+      <div className="facet-panel">
+        <div className="facet-panel-header">
+          <div className="filter-controls">
+            <span className="filter-label">Filter:</span>
+            <div className="toggle-group toggle-group-sm">
+              <button
+                onClick={() => handleFacetModeChange('any')}
+                onMouseEnter={playHover}
+                className={`toggle-btn ${facetMode === 'any' ? 'active' : ''}`}
+                title="Match any selected tag within a row"
+              >
+                OR
+              </button>
+              <button
+                onClick={() => handleFacetModeChange('all')}
+                onMouseEnter={playHover}
+                className={`toggle-btn ${facetMode === 'all' ? 'active' : ''}`}
+                title="Match every selected tag within a row"
+              >
+                AND
+              </button>
+            </div>
+            <span className="facet-result-count">
+              {filtered.length}/{accomplishments.length} projects
+            </span>
+          </div>
+
+          {(filtersActive || selectedCategory || query) && (
+            <button
+              onClick={handleClearAll}
+              onMouseEnter={playHover}
+              className="filter-label hover-highlight facet-clear"
+            >
+              ✕ Clear all
+            </button>
+          )}
+        </div>
+
+        {FACET_FAMILIES.map((family) => (
+          <div key={family} className="facet-row">
+            <span className="facet-row-label">{facetLabels[family]}</span>
+            <div className="facet-pills">
+              {Object.entries(registry[family]).map(([tag, { label }]) => {
+                const isSelected = facets[family].includes(tag);
+                const count = counts[family][tag];
+                return (
+                  <button
+                    key={tag}
+                    onClick={() => handleFacetToggle(family, tag)}
+                    onMouseEnter={playHover}
+                    className={`pill facet-pill ${family} ${isSelected ? 'active' : ''}`}
+                    disabled={!isSelected && count === 0}
+                    aria-pressed={isSelected}
+                  >
+                    {label}
+                    <span className="count">{count}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
       <div className="category-pills">
         {Object.entries(categories).map(([key, { label, icon }]) => (
           <button
             key={key}
-            onClick={() => { setSelectedCategory(selectedCategory === key ? null : key); playSelect(); }}
+            onClick={() => { navigate({ selectedCategory: selectedCategory === key ? null : key }); playSelect(); }}
             onMouseEnter={playHover}
             className={`pill ${selectedCategory === key ? 'active' : ''}`}
           >
@@ -197,6 +362,12 @@ export default function FilterToggle() {
         ))}
       </div>
 
+      {filtered.length === 0 && (
+        <p className="facet-empty">
+          No projects match every active filter. Try OR, loosen the search, or clear a facet.
+        </p>
+      )}
+
       {Object.entries(displayGroups).map(([categoryId, items]) => {
         if (!items || items.length === 0) return null;
         const category = categories[categoryId];
@@ -214,10 +385,12 @@ export default function FilterToggle() {
             {items.map((item) => (
               <article
                 key={item.id}
+                data-project={item.id}
                 className={`card ${expandedId === item.id ? 'expanded' : ''}`}
                 onClick={() => {
                   const isExpanding = expandedId !== item.id;
-                  setExpandedId(isExpanding ? item.id : null);
+                  navigate({ expandedId: isExpanding ? item.id : null });
+                  setCopiedId(null);
                   isExpanding ? playExpand() : playCollapse();
                 }}
                 onMouseEnter={playHover}
@@ -227,9 +400,13 @@ export default function FilterToggle() {
                     <div className="card-body">
                       <div className="card-title-row">
                         <span className="card-arrow">▸</span>
-                        <h3 className="card-title">{item.title}</h3>
+                        <h3 className="card-title">
+                          <Highlighted text={item.title} terms={matchedTerms.get(item.id) || []} />
+                        </h3>
                       </div>
-                      <p className="card-summary">{item.summary}</p>
+                      <p className="card-summary">
+                        <Highlighted text={item.summary} terms={matchedTerms.get(item.id) || []} />
+                      </p>
                     </div>
                     <div className="card-metrics">
                       {item.metrics.slice(0, 2).map((metric, i) => (
@@ -242,14 +419,36 @@ export default function FilterToggle() {
 
                   {expandedId === item.id && (
                     <div className="card-expanded-content">
-                      <p className="card-details">{item.details}</p>
+                      <p className="card-details">
+                        <Highlighted text={item.details} terms={matchedTerms.get(item.id) || []} />
+                      </p>
+                      {item.causal && (
+                        // Clicks inside the diagram intervene instead of collapsing the card
+                        <div className="card-causal" onClick={(e) => e.stopPropagation()}>
+                          <span className="tags-label">Causal model · click a node to intervene</span>
+                          <CausalNetworkVisualization graph={item.causal} />
+                        </div>
+                      )}
+                      {item.structure && (
+                        <div className="card-structure" onClick={(e) => e.stopPropagation()}>
+                          <span className="tags-label">Structure</span>
+                          <MolecularViewer structure={item.structure} />
+                        </div>
+                      )}
+                      <a
+                        className="card-permalink hover-highlight"
+                        href={filterStateToSearch({ viewMode, selectedCategory, expandedId: item.id })}
+                        onClick={(e) => handleCopyLink(e, item.id)}
+                      >
+                        {copiedId === item.id ? '✓ link copied' : '🔗 copy link'}
+                      </a>
                       <div className="tags-group">
                         <div>
                           <span className="tags-label">Goals</span>
                           <div className="tags">
                             {item.goals.map((goal) => (
                               <span key={goal} className="tag goal">
-                                {goalCategories[goal]?.label || goal}
+                                {goalCategories[goal].label}
                               </span>
                             ))}
                           </div>
@@ -257,9 +456,19 @@ export default function FilterToggle() {
                         <div>
                           <span className="tags-label">Methods</span>
                           <div className="tags">
-                            {item.methods.map((method) => (
+                            {item.methods.map((method) => postTags[method] ? (
+                              <a
+                                key={method}
+                                href={tagUrl(method)}
+                                className="tag method tag-link"
+                                title={`${postTags[method]} post${postTags[method] === 1 ? '' : 's'} on ${methodCategories[method].label}`}
+                                onClick={(e) => e.stopPropagation()}
+                              >
+                                {methodCategories[method].label} ↗
+                              </a>
+                            ) : (
                               <span key={method} className="tag method">
-                                {methodCategories[method]?.label || method}
+                                {methodCategories[method].label}
                               </span>
                             ))}
                           </div>
@@ -269,7 +478,7 @@ export default function FilterToggle() {
                           <div className="tags">
                             {item.industries.map((industry) => (
                               <span key={industry} className="tag industry">
-                                {industryCategories[industry]?.label || industry}
+                                {industryCategories[industry].label}
                               </span>
                             ))}
                           </div>
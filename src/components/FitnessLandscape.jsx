@@ -0,0 +1,137 @@
+import { useEffect, useMemo, useState } from 'react';
+import { cellOf, landscapeGrid } from '../utils/nkLandscape.js';
+import { OPTIMIZERS } from '../utils/optimizers.js';
+import { playClick, playSelect } from '../utils/soundManager.js';
+
+// ASCII fitness landscape for the ENZYME ENGINEERING panel: an NK landscape
+// (utils/nkLandscape.js) drawn as a boxed height map, with the optimizer's
+// recent path, the climber, the best genotype found so far and the global
+// optimum marked on it. The optimizer and its seed are picked here; AsciiPanel
+// owns the run and steps it with the hero clock.
+const COLS = 32;
+const ROWS = 10;
+const RAMP = ' .:-=+*#%@';
+const TRAIL_LENGTH = 12;
+const SPARK = '▁▂▃▄▅▆▇█';
+const MARKS = { climber: '●', best: '★', optimum: '◆', trail: '∘' };
+
+const heightChar = (fitness) => RAMP[Math.min(RAMP.length - 1, Math.floor(fitness * RAMP.length))];
+
+const sparkline = (values) => values.map(value => SPARK[Math.min(SPARK.length - 1, Math.floor(value * SPARK.length))]).join('');
+
+// Top or bottom edge of the box, with a centred caption
+function boxEdge(left, right, caption = '') {
+  const fill = COLS - caption.length;
+  return left + '─'.repeat(Math.floor(fill / 2)) + caption + '─'.repeat(Math.ceil(fill / 2)) + right;
+}
+
+export default function FitnessLandscape({ landscape, trace, step, method, seed, onMethodChange, onSeedChange }) {
+  // The seed field edits a draft, applied on Enter or blur; anything that
+  // isn't a whole number ≥ 1 goes back to the current seed
+  const [seedDraft, setSeedDraft] = useState(String(seed));
+  useEffect(() => setSeedDraft(String(seed)), [seed]);
+
+  const applySeedDraft = () => {
+    const value = Number(seedDraft);
+    if (Number.isInteger(value) && value >= 1) {
+      if (value !== seed) onSeedChange(value);
+    } else {
+      setSeedDraft(String(seed));
+    }
+  };
+
+  const heights = useMemo(
+    () => landscapeGrid(landscape, COLS, ROWS).map(row => row.map(heightChar)),
+    [landscape]
+  );
+
+  const current = trace[step];
+  const cellKey = (genotype) => {
+    const { col, row } = cellOf(landscape, genotype, COLS, ROWS);
+    return `${row}:${col}`;
+  };
+
+  // Later marks win: trail, then optimum, best and the climber on top
+  const marks = new Map();
+  trace.slice(Math.max(0, step - TRAIL_LENGTH), step).forEach(entry => marks.set(cellKey(entry.genotype), 'trail'));
+  marks.set(cellKey(landscape.optimum), 'optimum');
+  marks.set(cellKey(current.best), 'best');
+  marks.set(cellKey(current.genotype), 'climber');
+
+  const history = trace.slice(Math.max(0, step + 1 - COLS), step + 1).map(entry => entry.fitness);
+
+  return (
+    <div className="nk-landscape">
+      <div className="nk-controls">
+        <select
+          value={method}
+          aria-label="Optimizer"
+          onChange={(e) => {
+            playSelect();
+            onMethodChange(e.target.value);
+          }}
+        >
+          {Object.entries(OPTIMIZERS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <label className="metric-label">
+          seed
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={seedDraft}
+            onChange={(e) => setSeedDraft(e.target.value)}
+            onBlur={applySeedDraft}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') applySeedDraft();
+              if (e.key === 'Escape') {
+                // Undo the edit without also closing an expanded panel
+                e.stopPropagation();
+                setSeedDraft(String(seed));
+              }
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          className="nk-reseed"
+          onClick={() => {
+            playClick();
+            onSeedChange(seed + 1);
+          }}
+        >
+          reseed
+        </button>
+      </div>
+
+      <pre className="nk-map" aria-label={`Fitness landscape, N=${landscape.n} K=${landscape.k}`}>
+        {boxEdge('┌', '┐', ` N=${landscape.n} K=${landscape.k} · ${landscape.localOptima} peaks `)}
+        {'\n'}
+        {heights.map((row, r) => (
+          <span key={r}>
+            │
+            {row.map((char, c) => {
+              const mark = marks.get(`${r}:${c}`);
+              return mark ? <span key={c} className={`nk-${mark}`}>{MARKS[mark]}</span> : char;
+            })}
+            │{'\n'}
+          </span>
+        ))}
+        {boxEdge('└', '┘', ' sequence space ')}
+      </pre>
+
+      <div className="nk-readout metric-label">
+        <span>step {String(step + 1).padStart(2, ' ')}/{trace.length} · {current.note}</span>
+        <span className="nk-spark" aria-hidden="true">{sparkline(history)}</span>
+        <span>f {current.fitness.toFixed(2)} · best {current.bestFitness.toFixed(2)} of 1.00</span>
+        <span>
+          <span className="nk-climber">{MARKS.climber}</span> climber{' '}
+          <span className="nk-best">{MARKS.best}</span> best{' '}
+          <span className="nk-optimum">{MARKS.optimum}</span> global optimum
+        </span>
+      </div>
+    </div>
+  );
+}
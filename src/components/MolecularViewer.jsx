@@ -1,34 +1,127 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import SequenceTrack from './SequenceTrack';
+import { enzymeStructure } from '../data/enzymeStructure.js';
+import { load3Dmol, withTimeout } from '../utils/lazyLoad.js';
+import { locateMutations, parseMutations, sequenceFromAtoms } from '../utils/mutations.js';
+import {
+  annotationSelection,
+  loadStructureText,
+  residueSelection,
+  sourceName,
+  structureFormat,
+  validateStructure,
+} from '../utils/structure.js';
 
-// Lysozyme active site residues (catalytic): Glu35, Asp52
-const ACTIVE_SITE_RESIDUES = [35, 52];
+// Structure and residue annotations come in as data (`structure`, see
+// utils/structure.js); the default is the hero's lysozyme. The sequence
+// track underneath is synced both ways: hovering a residue in either place
+// highlights it in both, clicking zooms the 3D view to it. Point mutations
+// are drawn as labeled sticks.
+//
+// `view` lets an animation drive the highlighting frame by frame:
+//   highlights - residue groups shaped like annotations, drawn instead of
+//                them: { id, label, residues, color, style, radius?, opacity? }
+//   focus      - { residues, radius }: the camera frames everything within
+//                `radius` Å of those residues; null shows the whole protein
+// When the view changes, groups with the same id tween their color and size,
+// new groups grow in, dropped ones shrink away, and the camera glides to the
+// new focus (unless a visitor has zoomed to a residue).
+// `paused` stops the slow spin.
 
-// Allosteric positions - distant from active site, affect function
-// These are representative positions for visualization
-const ALLOSTERIC_RESIDUES = [101, 117, 62];
+const CARTOON = { color: '#00ff88', opacity: 0.85 };
+const MUTATION_COLOR = '#ffaa00';
+const HOVER_COLOR = '#00d4ff';
+const ZOOM_MS = 600;
+const TWEEN_MS = 700;
+const FOCUS_RADIUS = 10;
 
-export default function MolecularViewer({ allostericPulse = [false, false], frameIndex = 0 }) {
+const STYLE_DEFAULTS = {
+  stick: { radius: 0.2, opacity: 1 },
+  sphere: { radius: 0.8, opacity: 0.95 },
+};
+
+// An annotation with its style, radius and opacity filled in
+function withDefaults(annotation) {
+  const style = annotation.style === 'sphere' ? 'sphere' : 'stick';
+  return { ...STYLE_DEFAULTS[style], ...annotation, style };
+}
+
+// 3Dmol style for an annotation group
+function annotationStyle(annotation) {
+  const { style, color, radius, opacity } = withDefaults(annotation);
+  return { cartoon: CARTOON, [style]: { color, radius, opacity } };
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Blend two '#rrggbb' colors; anything else snaps to `to`
+function mixColor(from, to, t) {
+  if (!HEX_COLOR.test(from) || !HEX_COLOR.test(to)) return to;
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  return '#' + [0, 1, 2]
+    .map(i => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+const easeInOut = (t) => t * t * (3 - 2 * t);
+
+// Highlights `t` (0-1) of the way from one list to another, matched by id.
+// Residues and style switch straight to the target's
+function blendHighlights(from, to, t) {
+  const ids = [...new Set([...to, ...from].map(highlight => highlight.id))];
+  return ids.map(id => {
+    const before = from.find(highlight => highlight.id === id);
+    const after = to.find(highlight => highlight.id === id);
+    const start = withDefaults(before ?? { ...after, radius: 0, opacity: 0 });
+    const end = withDefaults(after ?? { ...before, radius: 0, opacity: 0 });
+    return {
+      ...end,
+      color: mixColor(start.color, end.color, t),
+      radius: start.radius + (end.radius - start.radius) * t,
+      opacity: start.opacity + (end.opacity - start.opacity) * t,
+    };
+  }).filter(highlight => highlight.radius > 0);
+}
+
+// 3Dmol selection the camera frames for a focus (null = everything)
+const focusSelection = (focus) =>
+  (focus ? { within: { distance: focus.radius ?? FOCUS_RADIUS, sel: { resi: focus.residues } } } : {});
+
+// One legend entry per label, at its brightest group's opacity
+function legendEntries(highlights) {
+  const entries = new Map();
+  highlights.map(withDefaults).forEach(({ label, color, opacity }) => {
+    if (!entries.has(label) || entries.get(label).opacity < opacity) entries.set(label, { label, color, opacity });
+  });
+  return [...entries.values()];
+}
+
+export default function MolecularViewer({ structure = enzymeStructure, view = null, paused = false }) {
   const containerRef = useRef(null);
   const viewerRef = useRef(null);
+  const shownRef = useRef(null); // highlights as drawn, mid-tween included
+  const paintRef = useRef(() => {});
   const [isLoading, setIsLoading] = useState(true);
   const [loadError, setLoadError] = useState(false);
+  const [sequence, setSequence] = useState([]);
+  const [hovered, setHovered] = useState(null); // { resi, chain }
+  const [focused, setFocused] = useState(null);
+  const [mutationText, setMutationText] = useState(structure.mutations || '');
+  const [appliedMutations, setAppliedMutations] = useState(() => parseMutations(structure.mutations || ''));
+  const [mutationError, setMutationError] = useState(null);
 
   // Initialize the 3D viewer
   useEffect(() => {
-    // Wait for 3Dmol to be available
-    const init3Dmol = () => {
-      if (typeof window === 'undefined' || !window.$3Dmol) {
-        // Retry if 3Dmol isn't loaded yet
-        setTimeout(init3Dmol, 100);
-        return;
-      }
-
-      if (!containerRef.current || viewerRef.current) return;
+    let cancelled = false;
 
+    const init3Dmol = async () => {
       try {
+        const $3Dmol = await load3Dmol();
+        if (cancelled || !containerRef.current || viewerRef.current) return;
+
         // Create the viewer with fully transparent background
         // Must use backgroundAlpha: 0 for WebGL transparency
-        const viewer = window.$3Dmol.createViewer(containerRef.current, {
+        const viewer = $3Dmol.createViewer(containerRef.current, {
           backgroundColor: 'white',
           backgroundAlpha: 0,
           antialias: true,
@@ -39,47 +132,33 @@ export default function MolecularViewer({ allostericPulse = [false, false], fram
 
         viewerRef.current = viewer;
 
-        // Fetch and load lysozyme structure (1LYZ)
-        window.$3Dmol.download('pdb:1LYZ', viewer, {}, function() {
-          // Main structure: cartoon in terminal green
-          viewer.setStyle({}, {
-            cartoon: {
-              color: '#00ff88',
-              opacity: 0.85,
-            }
-          });
-
-          // Active site residues: highlighted sticks in white/bright
-          viewer.setStyle({ resi: ACTIVE_SITE_RESIDUES }, {
-            cartoon: { color: '#00ff88', opacity: 0.85 },
-            stick: {
-              color: '#ffffff',
-              radius: 0.15,
-            }
-          });
-
-          // Allosteric residues: small spheres that will pulse
-          viewer.setStyle({ resi: ALLOSTERIC_RESIDUES }, {
-            cartoon: { color: '#00ff88', opacity: 0.85 },
-            sphere: {
-              color: '#00ffaa',
-              radius: 0.6,
-              opacity: 0.7,
-            }
-          });
-
-          // Set initial view
-          viewer.zoomTo();
-          viewer.rotate(30, 'y');
-          viewer.rotate(15, 'x');
-
-          // Start slow continuous rotation
-          viewer.spin('y', 0.3);
-
-          viewer.render();
-          setIsLoading(false);
-        });
+        // Load the structure from public/, the RCSB or the inline data
+        const { source } = validateStructure(structure);
+        const text = await withTimeout(loadStructureText(source), sourceName(source));
+        if (cancelled) return;
+        const model = viewer.addModel(text, structureFormat(source));
+        setSequence(sequenceFromAtoms(model.selectedAtoms({ atom: 'CA' })));
+
+        // Hovering and clicking atoms drives the same state as the sequence track
+        viewer.setHoverDuration(100);
+        viewer.setHoverable({}, true,
+          (atom) => setHovered({ resi: atom.resi, chain: atom.chain }),
+          () => setHovered(null));
+        viewer.setClickable({}, true, (atom) => focusResidue({ resi: atom.resi, chain: atom.chain }));
+
+        // Main structure: cartoon in terminal green (highlights are painted
+        // once loading finishes)
+        viewer.setStyle({}, { cartoon: CARTOON });
+
+        // Set initial view
+        viewer.zoomTo();
+        viewer.rotate(30, 'y');
+        viewer.rotate(15, 'x');
+
+        viewer.render();
+        setIsLoading(false);
       } catch (err) {
+        if (cancelled) return;
         console.error('Failed to initialize 3Dmol viewer:', err);
         setLoadError(true);
         setIsLoading(false);
@@ -90,6 +169,7 @@ export default function MolecularViewer({ allostericPulse = [false, false], fram
 
     // Cleanup
     return () => {
+      cancelled = true;
       if (viewerRef.current) {
         viewerRef.current.spin(false);
         viewerRef.current = null;
@@ -97,45 +177,119 @@ export default function MolecularViewer({ allostericPulse = [false, false], fram
     };
   }, []);
 
-  // Update allosteric residue opacity based on pulse state
-  useEffect(() => {
-    if (!viewerRef.current || isLoading) return;
+  const annotations = structure.annotations || [];
+  const highlights = view ? view.highlights : annotations;
+  const mutations = useMemo(() => locateMutations(appliedMutations, sequence), [appliedMutations, sequence]);
+  const focusKey = JSON.stringify(view?.focus ?? null);
 
+  // Restyle everything: cartoon, highlights as currently tweened, mutated
+  // residues, then the hovered residue on top
+  paintRef.current = () => {
     const viewer = viewerRef.current;
-
-    // Calculate pulse opacity based on allosteric state
-    const pulseActive = allostericPulse.some(p => p);
-    const opacity = pulseActive ? 0.95 : 0.5;
-    const radius = pulseActive ? 0.8 : 0.5;
+    if (!viewer) return;
 
     try {
-      // Update allosteric spheres
-      viewer.setStyle({ resi: ALLOSTERIC_RESIDUES }, {
-        cartoon: { color: '#00ff88', opacity: 0.85 },
-        sphere: {
-          color: pulseActive ? '#00ffcc' : '#00ff88',
-          radius: radius,
-          opacity: opacity,
-        }
+      viewer.setStyle({}, { cartoon: CARTOON });
+      (shownRef.current ?? highlights).forEach(highlight => {
+        viewer.setStyle(annotationSelection(highlight), annotationStyle(highlight));
+      });
+      mutations.filter(mutation => mutation.residue).forEach(mutation => {
+        viewer.setStyle(residueSelection(mutation.residue), { cartoon: CARTOON, stick: { color: MUTATION_COLOR, radius: 0.2 } });
       });
+      if (hovered) {
+        viewer.addStyle(residueSelection(hovered), { stick: { color: HOVER_COLOR, radius: 0.25 } });
+      }
+      viewer.render();
+    } catch (err) {
+      // Silently handle render errors during animation
+    }
+  };
+
+  useEffect(() => {
+    if (!isLoading) paintRef.current();
+  }, [isLoading, mutations, hovered]);
+
+  // Tween the highlights to a new view
+  useEffect(() => {
+    if (isLoading) return undefined;
+    if (!shownRef.current) {
+      shownRef.current = highlights;
+      paintRef.current();
+      return undefined;
+    }
+
+    const from = shownRef.current;
+    const start = performance.now();
+    let frame;
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / TWEEN_MS);
+      shownRef.current = blendHighlights(from, highlights, easeInOut(t));
+      paintRef.current();
+      if (t < 1) frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [view, isLoading]);
+
+  // Slow continuous rotation while playing
+  useEffect(() => {
+    if (!viewerRef.current || isLoading) return;
+    if (paused) viewerRef.current.spin(false);
+    else viewerRef.current.spin('y', 0.3);
+  }, [paused, isLoading]);
 
-      // Update active site based on frame for optimization progress
-      const optimizationProgress = (frameIndex % 6) / 5;
-      const activeSiteColor = optimizationProgress > 0.7 ? '#ffffff' : '#ccffee';
+  // Follow the container's size (the hero panel can be expanded)
+  useEffect(() => {
+    if (isLoading || !containerRef.current || typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => viewerRef.current?.resize());
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [isLoading]);
+
+  // Glide to the view's focus, unless a residue has been zoomed to
+  useEffect(() => {
+    if (!viewerRef.current || isLoading || focused) return;
+    viewerRef.current.zoomTo(focusSelection(view?.focus), ZOOM_MS);
+  }, [focusKey, isLoading, focused]);
 
-      viewer.setStyle({ resi: ACTIVE_SITE_RESIDUES }, {
-        cartoon: { color: '#00ff88', opacity: 0.85 },
-        stick: {
-          color: activeSiteColor,
-          radius: 0.15 + optimizationProgress * 0.05,
-        }
+  // Label mutations at their alpha carbons
+  useEffect(() => {
+    if (!viewerRef.current || isLoading) return;
+
+    const viewer = viewerRef.current;
+    viewer.removeAllLabels();
+    mutations.filter(mutation => mutation.residue).forEach(mutation => {
+      const [alpha] = viewer.selectedAtoms({ ...residueSelection(mutation.residue), atom: 'CA' });
+      if (!alpha) return;
+      viewer.addLabel(mutation.id, {
+        position: { x: alpha.x, y: alpha.y, z: alpha.z },
+        fontSize: 10,
+        fontColor: MUTATION_COLOR,
+        backgroundColor: '#000000',
+        backgroundOpacity: 0.6,
+        inFront: true,
       });
+    });
+    viewer.render();
+  }, [mutations, isLoading]);
 
-      viewer.render();
+  // Zoom to a residue (from the track, the mutation list or a click in 3D)
+  function focusResidue(residue) {
+    setFocused(residue);
+    viewerRef.current?.zoomTo(residueSelection(residue), ZOOM_MS);
+  }
+
+  // Back to the view's focus (or the whole protein)
+  const resetView = () => setFocused(null);
+
+  const applyMutations = () => {
+    try {
+      setAppliedMutations(parseMutations(mutationText));
+      setMutationError(null);
     } catch (err) {
-      // Silently handle render errors during animation
+      setMutationError(err.message);
     }
-  }, [allostericPulse, frameIndex, isLoading]);
+  };
 
   // Fallback SVG for when 3Dmol fails to load
   const FallbackVisualization = () => (
@@ -182,15 +336,35 @@ export default function MolecularViewer({ allostericPulse = [false, false], fram
         </>
       )}
       <div className="molecular-labels">
-        <div className="label-active-site">
-          <span className="label-dot active" />
-          <span className="label-text">active site</span>
-        </div>
-        <div className="label-allosteric">
-          <span className={`label-dot allosteric ${allostericPulse.some(p => p) ? 'pulse' : ''}`} />
-          <span className="label-text">allosteric</span>
-        </div>
+        {legendEntries(highlights).map(entry => (
+          <div key={entry.label} className="molecular-label">
+            <span className="label-dot" style={{ color: entry.color, opacity: entry.opacity }} />
+            <span className="label-text">{entry.label}</span>
+          </div>
+        ))}
+        {mutations.length > 0 && (
+          <div className="molecular-label">
+            <span className="label-dot" style={{ color: MUTATION_COLOR }} />
+            <span className="label-text">mutated</span>
+          </div>
+        )}
       </div>
+      {sequence.length > 0 && (
+        <SequenceTrack
+          sequence={sequence}
+          annotations={highlights}
+          mutations={mutations}
+          mutationText={mutationText}
+          mutationError={mutationError}
+          hovered={hovered}
+          focused={focused}
+          onHover={setHovered}
+          onSelect={focusResidue}
+          onResetView={resetView}
+          onMutationTextChange={setMutationText}
+          onApplyMutations={applyMutations}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,113 @@
+import { useState, useMemo } from 'react';
+import { playClick, playSelect } from '../utils/soundManager.js';
+import { validateEmail, createNewsletterAdapter, NewsletterError } from '../utils/newsletter.js';
+
+// Newsletter signup form - validates client-side, then hands the address to the
+// configured provider adapter. Providers use double opt-in, so a successful
+// signup ends at "check your inbox" rather than "subscribed". With no provider
+// configured there is no form, just a note that signups aren't open.
+export default function NewsletterSignup({ config }) {
+  const adapter = useMemo(() => (config.provider ? createNewsletterAdapter(config) : null), [config]);
+  const [email, setEmail] = useState('');
+  const [touched, setTouched] = useState(false);
+  const [status, setStatus] = useState('idle'); // 'idle', 'submitting', 'pending', 'already', 'error'
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const validationError = validateEmail(email);
+  const showValidation = touched && validationError;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setTouched(true);
+    if (validationError || status === 'submitting') return;
+
+    setStatus('submitting');
+    setErrorMessage(null);
+    playClick();
+
+    try {
+      const result = await adapter.subscribe(email);
+      setStatus(result.status);
+      playSelect();
+    } catch (err) {
+      setStatus('error');
+      setErrorMessage(err instanceof NewsletterError
+        ? err.message
+        : 'Something went wrong. Please try again later.');
+    }
+  };
+
+  const handleReset = () => {
+    setEmail('');
+    setTouched(false);
+    setStatus('idle');
+  };
+
+  if (!adapter) {
+    return (
+      <div className="newsletter-form newsletter-unconfigured" role="status">
+        <p className="newsletter-note">
+          Email signups aren't open yet. The RSS, Atom and JSON feeds carry every new post in the meantime.
+        </p>
+      </div>
+    );
+  }
+
+  // Double opt-in: nothing is confirmed until the reader clicks the email link
+  if (status === 'pending' || status === 'already') {
+    return (
+      <div className="newsletter-form newsletter-done" role="status">
+        <p className="newsletter-done-title">
+          {status === 'pending' ? '✉ Check your inbox' : '✓ You\'re already subscribed'}
+        </p>
+        <p className="newsletter-note">
+          {status === 'pending'
+            ? <>We sent a confirmation link to <strong>{email.trim()}</strong>. Your subscription starts once you click it — check spam if it hasn't arrived in a few minutes.</>
+            : <><strong>{email.trim()}</strong> is already on the list. If you never confirmed, the original confirmation email is still valid.</>}
+        </p>
+        <button type="button" className="newsletter-reset hover-highlight" onClick={handleReset}>
+          ← Use a different address
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="newsletter-form" onSubmit={handleSubmit} noValidate>
+      <label htmlFor="newsletter-email" className="newsletter-label">
+        <span className="dollar">$</span> subscribe --email
+      </label>
+      <div className="newsletter-row">
+        <input
+          id="newsletter-email"
+          type="email"
+          name="email"
+          className={`newsletter-input ${showValidation ? 'invalid' : ''}`}
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          onBlur={() => setTouched(true)}
+          placeholder="you@company.com"
+          autoComplete="email"
+          aria-invalid={Boolean(showValidation)}
+          aria-describedby="newsletter-message"
+          disabled={status === 'submitting'}
+        />
+        <button type="submit" className="cta-button newsletter-submit" disabled={status === 'submitting'}>
+          {status === 'submitting' ? 'Sending…' : 'Subscribe →'}
+        </button>
+      </div>
+      <p id="newsletter-message" className={`newsletter-note ${showValidation || status === 'error' ? 'error' : ''}`}>
+        {showValidation
+          ? validationError
+          : status === 'error'
+            ? errorMessage
+            : 'We\'ll email you a link to confirm. No spam; unsubscribe anytime.'}
+      </p>
+      {adapter.name === 'mock' && (
+        <p className="newsletter-note newsletter-mock">
+          [mock provider] nothing is sent — try fail@example.com to see an error
+        </p>
+      )}
+    </form>
+  );
+}
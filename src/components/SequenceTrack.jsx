@@ -0,0 +1,135 @@
+import { useEffect, useRef } from 'react';
+import { playClick } from '../utils/soundManager.js';
+
+// 1D sequence strip and mutation list under MolecularViewer. One letter per
+// residue, colored by annotation; hovering or focusing a residue highlights
+// it in 3D, clicking zooms the viewer to it. Mutated positions show the new
+// residue. MolecularViewer owns the state; hovers that start in 3D scroll the
+// strip to the residue.
+
+const residueKey = ({ chain, resi }) => `${chain}:${resi}`;
+
+const sameResidue = (a, b) => Boolean(a && b) && a.resi === b.resi && a.chain === b.chain;
+
+export default function SequenceTrack({
+  sequence,
+  annotations,
+  mutations,
+  mutationText,
+  mutationError,
+  hovered,
+  focused,
+  onHover,
+  onSelect,
+  onResetView,
+  onMutationTextChange,
+  onApplyMutations,
+}) {
+  const stripRef = useRef(null);
+  const multiChain = new Set(sequence.map(entry => entry.chain)).size > 1;
+
+  const annotationOf = (entry) =>
+    annotations.find(annotation =>
+      annotation.residues.includes(entry.resi) && (!annotation.chain || annotation.chain === entry.chain)
+    );
+  const mutationOf = (entry) => mutations.find(mutation => sameResidue(mutation.residue, entry));
+
+  // Keep the hovered residue in view
+  useEffect(() => {
+    const strip = stripRef.current;
+    const cell = hovered && strip?.querySelector(`[data-residue="${residueKey(hovered)}"]`);
+    if (!cell) return;
+    if (cell.offsetLeft < strip.scrollLeft || cell.offsetLeft + cell.offsetWidth > strip.scrollLeft + strip.clientWidth) {
+      strip.scrollLeft = cell.offsetLeft - strip.clientWidth / 2;
+    }
+  }, [hovered]);
+
+  const hoveredEntry = hovered && sequence.find(entry => sameResidue(entry, hovered));
+  const hoveredNote = hoveredEntry && (mutationOf(hoveredEntry)?.id || annotationOf(hoveredEntry)?.label);
+
+  const applyMutations = (event) => {
+    event.preventDefault();
+    playClick();
+    onApplyMutations();
+  };
+
+  return (
+    <div className="sequence-track">
+      <div className="sequence-header">
+        <span className="metric-label">
+          {hoveredEntry
+            ? `${hoveredEntry.resn} ${multiChain ? `${hoveredEntry.chain}:` : ''}${hoveredEntry.resi}${hoveredNote ? ` · ${hoveredNote}` : ''}`
+            : `sequence · ${sequence.length} residues`}
+        </span>
+        {focused && (
+          <button type="button" className="sequence-reset" onClick={onResetView}>reset view</button>
+        )}
+      </div>
+
+      <div className="sequence-strip" ref={stripRef} onMouseLeave={() => onHover(null)}>
+        {sequence.map((entry, i) => {
+          const annotation = annotationOf(entry);
+          const mutation = mutationOf(entry);
+          const chainBreak = i > 0 && sequence[i - 1].chain !== entry.chain;
+          return (
+            <button
+              type="button"
+              key={residueKey(entry)}
+              data-residue={residueKey(entry)}
+              className={[
+                'sequence-residue',
+                annotation ? 'annotated' : '',
+                mutation ? 'mutated' : '',
+                sameResidue(entry, hovered) ? 'hovered' : '',
+                sameResidue(entry, focused) ? 'focused' : '',
+                chainBreak ? 'chain-break' : '',
+                entry.resi % 10 === 0 ? 'tick' : '',
+              ].filter(Boolean).join(' ')}
+              style={annotation && !mutation ? { color: annotation.color } : undefined}
+              title={mutation ? mutation.id : `${entry.resn} ${entry.resi}`}
+              onMouseEnter={() => onHover(entry)}
+              onFocus={() => onHover(entry)}
+              onClick={() => onSelect(entry)}
+            >
+              {mutation ? mutation.to : entry.code}
+            </button>
+          );
+        })}
+      </div>
+
+      <form className="sequence-mutations" onSubmit={applyMutations}>
+        <input
+          type="text"
+          value={mutationText}
+          placeholder="mutations, e.g. D52N, W62Y"
+          aria-label="Point mutations"
+          spellCheck={false}
+          onChange={(e) => onMutationTextChange(e.target.value)}
+        />
+        <button type="submit" className="sequence-reset">apply</button>
+      </form>
+      {mutationError && <div className="sequence-error">{mutationError}</div>}
+
+      {mutations.length > 0 && (
+        <ul className="sequence-mutation-list">
+          {mutations.map(mutation => (
+            <li key={mutation.id}>
+              <button
+                type="button"
+                disabled={!mutation.residue}
+                onClick={() => onSelect(mutation.residue)}
+                onMouseEnter={() => mutation.residue && onHover(mutation.residue)}
+                onMouseLeave={() => onHover(null)}
+              >
+                <span className="sequence-mutation-id">{mutation.id}</span>
+                <span className="metric-label">pos {mutation.chain ? `${mutation.chain}:` : ''}{mutation.resi}</span>
+                {!mutation.residue && <span className="sequence-warning">not in structure</span>}
+                {mutation.mismatch && <span className="sequence-warning">structure has {mutation.residue.code}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
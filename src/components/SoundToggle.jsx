@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { initSound, toggleSound, isEnabled } from '../utils/soundManager.js';
+import { onSiteEvent } from '../utils/siteEvents.js';
 
 // Sound Toggle component - allows users to enable/disable retro terminal sounds
 // Default: OFF (sounds are opt-in)
@@ -10,6 +11,7 @@ export default function SoundToggle({ compact = false }) {
     // Initialize sound manager and load preference
     initSound();
     setEnabled(isEnabled());
+    return onSiteEvent('sound', ({ enabled: newState }) => setEnabled(newState));
   }, []);
 
   const handleToggle = () => {
@@ -0,0 +1,265 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { playClick, playSelect, playExpand, playCollapse, isEnabled, setSoundEnabled } from '../utils/soundManager.js';
+import { createShell } from '../utils/shell.js';
+import { getTheme, setTheme } from '../utils/theme.js';
+import { emitSiteEvent } from '../utils/siteEvents.js';
+import { withBase } from '../utils/paths.js';
+
+const HISTORY_KEY = 'shellHistory';
+const DATA_PATH = '/shell.json';
+const HISTORY_LIMIT = 100;
+
+const WELCOME = [
+  { text: 'foretodata shell — type help for commands', kind: 'hl' },
+  { text: 'try: ls projects · grep forecast · filter method=llms · theme classic', kind: 'dim' },
+];
+
+// Current path relative to the site base, e.g. '/', '/posts', '/posts/foo'
+function currentPath() {
+  const base = withBase('/');
+  const path = window.location.pathname.startsWith(base)
+    ? `/${window.location.pathname.slice(base.length)}`
+    : window.location.pathname;
+  return path.length > 1 ? path.replace(/\/$/, '') : '/';
+}
+
+const typingInField = (target) =>
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+// Terminal shell overlay - a small command line over the whole site.
+// Opens with ` or Ctrl/Cmd+K (or by clicking the sidebar prompt). Commands are
+// interpreted by utils/shell.js; this component only runs their effects. The
+// projects and posts it works on are fetched from /shell.json on first open.
+export default function TerminalShell() {
+  const [data, setData] = useState(null);
+  const [dataError, setDataError] = useState(null);
+  const shell = useMemo(() => (data ? createShell(data) : null), [data]);
+  const [open, setOpen] = useState(false);
+  const [lines, setLines] = useState(WELCOME);
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(null); // null = editing a new line
+  const inputRef = useRef(null);
+  const outputRef = useRef(null);
+
+  const path = open ? currentPath() : '/';
+  const prompt = `~${path === '/' ? '' : path} $`;
+
+  // Load history once on mount
+  useEffect(() => {
+    try {
+      setHistory(JSON.parse(localStorage.getItem(HISTORY_KEY)) || []);
+    } catch {
+      setHistory([]);
+    }
+  }, []);
+
+  // Global shortcuts, plus clicks on the sidebar prompt
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const isBacktick = event.key === '`' && !event.metaKey && !event.ctrlKey && !event.altKey;
+      const isCommandK = event.key.toLowerCase() === 'k' && (event.metaKey || event.ctrlKey);
+
+      if (isCommandK || (isBacktick && !typingInField(event.target))) {
+        event.preventDefault();
+        setOpen(wasOpen => {
+          wasOpen ? playCollapse() : playExpand();
+          return !wasOpen;
+        });
+      }
+    };
+    const handlePromptClick = (event) => {
+      if (!event.target.closest('.terminal-prompt')) return;
+      setOpen(true);
+      playExpand();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('click', handlePromptClick);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('click', handlePromptClick);
+    };
+  }, []);
+
+  // Fetch the shell's data the first time it opens
+  useEffect(() => {
+    if (!open || data) return undefined;
+    let cancelled = false;
+    setDataError(null);
+    fetch(withBase(DATA_PATH))
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(json => { if (!cancelled) setData(json); })
+      .catch(err => { if (!cancelled) setDataError(err.message); });
+    return () => { cancelled = true; };
+  }, [open, data]);
+
+  // Focus the input on open; keep the newest output in view
+  useEffect(() => {
+    if (open) inputRef.current?.focus();
+  }, [open]);
+
+  useEffect(() => {
+    if (outputRef.current) outputRef.current.scrollTop = outputRef.current.scrollHeight;
+  }, [lines, open]);
+
+  const close = () => {
+    setOpen(false);
+    playCollapse();
+  };
+
+  const applyEffect = (effect) => {
+    switch (effect.type) {
+      case 'navigate':
+        window.location.href = withBase(effect.path);
+        break;
+      case 'emit':
+        emitSiteEvent(effect.name, effect.detail);
+        break;
+      case 'theme':
+        setTheme(effect.value);
+        break;
+      case 'sound':
+        setSoundEnabled(effect.value);
+        break;
+      case 'clear':
+        setLines([]);
+        break;
+      case 'close':
+        setOpen(false);
+        break;
+    }
+  };
+
+  // Run a line through the interpreter; anything it throws prints as a
+  // shell error rather than escaping the key handler
+  const runCommand = (command, nextHistory) => {
+    if (!shell) {
+      const message = dataError
+        ? `shell: could not load projects and posts (${dataError})`
+        : 'shell: still loading projects and posts, try again in a moment';
+      return { lines: [{ text: message, kind: dataError ? 'err' : 'dim' }], effects: [] };
+    }
+    try {
+      return shell.run(command, {
+        path,
+        theme: getTheme(),
+        sound: isEnabled(),
+        history: nextHistory,
+        hasFilterToggle: Boolean(document.querySelector('[data-filter-toggle]')),
+      });
+    } catch (err) {
+      return { lines: [{ text: `shell: ${err.message}`, kind: 'err' }], effects: [] };
+    }
+  };
+
+  const submit = () => {
+    const command = input.trim();
+    const nextHistory = command && command !== history[history.length - 1]
+      ? [...history, command].slice(-HISTORY_LIMIT)
+      : history;
+
+    const result = runCommand(command, nextHistory);
+
+    setLines(prev => [...prev, { text: `${prompt} ${input}`, kind: 'cmd' }, ...result.lines]);
+    setHistory(nextHistory);
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(nextHistory));
+    setHistoryIndex(null);
+    setInput('');
+    result.effects.forEach(applyEffect);
+    result.lines.some(line => line.kind === 'err') ? playClick() : playSelect();
+  };
+
+  // Walk history with ↑/↓; stepping past the newest entry returns to an empty line
+  const recall = (step) => {
+    if (history.length === 0) return;
+    const from = historyIndex === null ? history.length : historyIndex;
+    const next = Math.min(Math.max(from + step, 0), history.length);
+    setHistoryIndex(next === history.length ? null : next);
+    setInput(next === history.length ? '' : history[next]);
+  };
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'Enter':
+        event.preventDefault();
+        submit();
+        break;
+      case 'Tab': {
+        event.preventDefault();
+        if (!shell) break;
+        const { input: completed, options } = shell.complete(input);
+        setInput(completed);
+        if (options.length > 0) {
+          setLines(prev => [
+            ...prev,
+            { text: `${prompt} ${input}`, kind: 'cmd' },
+            { text: options.join('  '), kind: 'out' },
+          ]);
+        }
+        break;
+      }
+      case 'ArrowUp':
+        event.preventDefault();
+        recall(-1);
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        recall(1);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        close();
+        break;
+      case 'l':
+        if (event.ctrlKey) {
+          event.preventDefault();
+          setLines([]);
+        }
+        break;
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="shell-backdrop" onClick={close}>
+      <div
+        className="shell-window"
+        role="dialog"
+        aria-label="Terminal shell"
+        onClick={(e) => { e.stopPropagation(); inputRef.current?.focus(); }}
+      >
+        <header className="shell-titlebar">
+          <span>foretodata — shell</span>
+          <button className="shell-close hover-highlight" onClick={close} aria-label="Close shell">
+            esc ✕
+          </button>
+        </header>
+
+        <div className="shell-output" ref={outputRef} aria-live="polite">
+          {lines.map((line, i) => (
+            <div key={i} className={`shell-line ${line.kind}`}>{line.text || ' '}</div>
+          ))}
+          <div className="shell-input-row">
+            <span className="shell-prompt">{prompt}</span>
+            <input
+              ref={inputRef}
+              className="shell-input"
+              value={input}
+              onChange={(e) => { setInput(e.target.value); setHistoryIndex(null); }}
+              onKeyDown={handleKeyDown}
+              aria-label="Shell command"
+              autoComplete="off"
+              autoCapitalize="off"
+              spellCheck="false"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
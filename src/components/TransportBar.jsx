@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+import { playClick } from '../utils/soundManager.js';
+
+// Playback for AsciiHeroAnimation: play/pause, single steps, speed and a
+// scrubber over a looping timeline of `length` ticks. useTransport owns the
+// clock; TransportBar is the control strip. The hero runs one transport for
+// all panels and a second one for an expanded panel.
+export const TICK_MS = 1500;
+export const SPEEDS = [0.5, 1, 2, 4];
+
+const wrap = (tick, length) => ((tick % length) + length) % length;
+
+// Clock state for a timeline. `enabled: false` holds the clock without
+// changing whether it reads as playing (the hero's clock while a panel is
+// expanded)
+export function useTransport(length, { enabled = true } = {}) {
+  const [tick, setTick] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => {
+    if (!playing || !enabled) return undefined;
+    const timer = setInterval(() => setTick(current => wrap(current + 1, length)), TICK_MS / speed);
+    return () => clearInterval(timer);
+  }, [playing, enabled, speed, length]);
+
+  return {
+    tick: wrap(tick, length),
+    length,
+    playing,
+    speed,
+    setPlaying,
+    setSpeed,
+    seek: setTick,
+    // Stepping pauses, so the frame stays put to be looked at
+    step: (delta) => {
+      setPlaying(false);
+      setTick(current => wrap(current + delta, length));
+    },
+  };
+}
+
+const formatSpeed = (speed) => `${speed}×`;
+
+export default function TransportBar({ transport, label }) {
+  const { tick, length, playing, speed } = transport;
+
+  const press = (action) => () => {
+    playClick();
+    action();
+  };
+  const nextSpeed = SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length];
+
+  return (
+    <div className="transport-bar" role="group" aria-label={`Playback: ${label}`}>
+      <button type="button" className="transport-button" onClick={press(() => transport.step(-1))} aria-label="Step back">
+        |◂
+      </button>
+      <button
+        type="button"
+        className="transport-button transport-play"
+        onClick={press(() => transport.setPlaying(!playing))}
+        aria-label={playing ? 'Pause' : 'Play'}
+        aria-pressed={!playing}
+      >
+        {playing ? '❚❚' : '▶'}
+      </button>
+      <button type="button" className="transport-button" onClick={press(() => transport.step(1))} aria-label="Step forward">
+        ▸|
+      </button>
+      <input
+        type="range"
+        className="transport-scrubber"
+        min={0}
+        max={length - 1}
+        step={1}
+        value={tick}
+        aria-label="Timeline"
+        aria-valuetext={`tick ${tick + 1} of ${length}`}
+        onChange={(e) => transport.seek(Number(e.target.value))}
+      />
+      <span className="metric-label transport-position">
+        {String(tick + 1).padStart(String(length).length, ' ')}/{length}
+      </span>
+      <button
+        type="button"
+        className="transport-button"
+        onClick={press(() => transport.setSpeed(nextSpeed))}
+        aria-label={`Speed ${formatSpeed(speed)}, switch to ${formatSpeed(nextSpeed)}`}
+      >
+        {formatSpeed(speed)}
+      </button>
+      <span className="metric-label transport-label">{label}</span>
+    </div>
+  );
+}
@@ -1,32 +1,25 @@
 import { useState, useEffect } from 'react';
 import { playToggle, playHover } from '../utils/soundManager.js';
+import { getTheme, setTheme } from '../utils/theme.js';
+import { onSiteEvent } from '../utils/siteEvents.js';
 
 // ViewToggle component - switches between Terminal (dark) and Classic (light ggplot2-style) themes
 export default function ViewToggle() {
   const [view, setView] = useState('terminal');
 
-  // Load saved preference on mount
+  // Follow theme changes made elsewhere (shell `theme`), then load the saved
+  // preference - subscribing first so this toggle hears its own setTheme
   useEffect(() => {
-    const savedView = localStorage.getItem('siteView');
-    if (savedView === 'classic') {
-      setView('classic');
-      document.documentElement.classList.remove('dark');
-      document.documentElement.classList.add('classic');
+    const unsubscribe = onSiteEvent('theme', ({ view: newView }) => setView(newView));
+    if (getTheme() === 'classic') {
+      setTheme('classic');
     }
+    return unsubscribe;
   }, []);
 
   const handleViewChange = (newView) => {
-    setView(newView);
-    localStorage.setItem('siteView', newView);
+    setTheme(newView);
     playToggle(); // Retro toggle sound
-
-    if (newView === 'classic') {
-      document.documentElement.classList.remove('dark');
-      document.documentElement.classList.add('classic');
-    } else {
-      document.documentElement.classList.remove('classic');
-      document.documentElement.classList.add('dark');
-    }
   };
 
   return (
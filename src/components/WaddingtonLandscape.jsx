@@ -1,114 +1,203 @@
 import { useEffect, useRef, useState } from 'react';
+import { loadThree } from '../utils/lazyLoad.js';
+import { createRng, gaussian } from '../utils/random.js';
+import { playClick, playSelect } from '../utils/soundManager.js';
+import {
+  PHENOTYPES,
+  TOGGLE_PARAMS,
+  eulerMaruyamaStep,
+  findAttractors,
+  fromTerrain,
+  nearestAttractor,
+  quasiPotential,
+  samplePotential,
+  toTerrain,
+} from '../utils/toggleSwitch.js';
 
 // ============================================================================
 // WADDINGTON EPIGENETIC LANDSCAPE VISUALIZATION
 // ============================================================================
 // 3D terrain visualization showing cell phenotype decisions as valleys (attractors)
-// in an epigenetic landscape. A ball (cell) rolls down the landscape, settling
+// in an epigenetic landscape. A ball (cell) rolls across the landscape, settling
 // into different valleys based on stochastic signals.
 //
-// Valley positions (in normalized terrain coordinates):
-// - STEM (center-back): pluripotent state
-// - PRODUCER (front-left): high productivity phenotype
-// - SURVIVAL (front-right): stress-adapted phenotype
-// - SENESCENT (far-right): aged/exhausted phenotype
-
-// Valley definitions with positions and characteristics
-// 4 distinct valleys (attractors) like bowls in a smooth landscape
-const VALLEYS = [
-  { id: 'STEM', label: 'STEM', x: 0, z: -0.35, depth: 0.6, width: 0.35, color: '#ffffff' },
-  { id: 'PRODUCER', label: 'PRODUCER', x: -0.45, z: 0.4, depth: 0.8, width: 0.38, color: '#00ff88' },
-  { id: 'SURVIVAL', label: 'SURVIVAL', x: 0.4, z: 0.35, depth: 0.65, width: 0.35, color: '#ff6b9d' },
-  { id: 'SENESCENT', label: 'SENESCENT', x: 0.75, z: 0.55, depth: 0.5, width: 0.32, color: '#ffaa00' },
-];
-
-// Cell phenotype cycle matching the regulatory frames
-const PHENOTYPE_CYCLE = [
-  { phenotype: 'PRODUCER', frames: [0, 1, 2, 3] },      // Optimal/Producer state
-  { phenotype: 'STEM', frames: [4, 5, 6, 7] },          // Transition through stem
-  { phenotype: 'SURVIVAL', frames: [8, 9, 10, 11] },    // Survival state
-  { phenotype: 'PRODUCER', frames: [12, 13, 14, 15] },  // Transition back to producer
-];
-
-// Gaussian function for smooth valley wells
-function gaussian(x, z, centerX, centerZ, width) {
-  const dx = x - centerX;
-  const dz = z - centerZ;
-  const distSq = dx * dx + dz * dz;
-  return Math.exp(-distSq / (2 * width * width));
+// The landscape comes from a model, not a drawing: the TF1/TF2 toggle switch
+// of the regulatory panel (utils/toggleSwitch.js) is simulated with
+// Euler–Maruyama, and the terrain height is its quasi-potential -ln P. The
+// valleys - and their labels - are the attractors the parameters produce:
+// - STEM (back): both TFs high
+// - PRODUCER (left): TF1 high
+// - SURVIVAL (right): TF2 high
+// - SENESCENT (front): both low
+//
+// The ball is one simulated cell. The ⚡ signal frames inactivate its dominant
+// TF and drive the other, which is what flips it between valleys.
+//
+// Ensemble mode swaps the ball for a clonal population of ENSEMBLE_SIZE cells,
+// all starting in STEM and simulated with the same dynamics, drawn as one
+// instanced mesh. Noise alone lets them differentiate; the readout under the
+// canvas tracks the fraction in each valley, i.e. the fate probabilities.
+//
+// Interaction: drag to orbit, wheel to zoom, click the terrain to drop more
+// cells. Dropped cells roll downhill on the drawn surface (getTerrainGradient)
+// and take the color of the valley they end up in, so a handful of clicks
+// shows a population splitting across attractors. "perturb" kicks every cell;
+// the depth slider scales the relief and the width slider the model's noise,
+// which widens the valleys.
+//
+// `paused` (the hero's transport) stops the simulation and the auto-rotate;
+// the scene stays interactive but is only redrawn when something changes.
+
+const PHENOTYPE_COLORS = {
+  STEM: '#ffffff',
+  PRODUCER: '#00ff88',
+  SURVIVAL: '#ff6b9d',
+  SENESCENT: '#ffaa00',
+};
+
+// World-space height of the lowest and highest quasi-potential
+const TERRAIN_BASE = 0.1;
+const TERRAIN_RELIEF = 0.9;
+
+// Model time simulated per animation frame: SIM_SUBSTEPS steps of SIM_DT
+const SIM_DT = 0.01;
+const SIM_SUBSTEPS = 4;
+
+// How quickly the drawn ball catches up with the simulated cell (0-1 per frame)
+const BALL_SMOOTHING = 0.25;
+
+// Ensemble mode: population size and radius of each drawn cell
+const ENSEMBLE_SIZE = 300;
+const ENSEMBLE_RADIUS = 0.03;
+
+// Frames between phenotype (color / readout) updates
+const PHENOTYPE_INTERVAL = 10;
+
+// Camera orbit around the terrain (elevation in radians above the ground
+// plane); starts at the old fixed camera, (3.8, 3.2) from the center
+const ORBIT_START = { azimuth: 0, elevation: Math.atan2(3.2, 3.8), distance: Math.hypot(3.8, 3.2) };
+const ORBIT_LIMITS = { minElevation: 0.2, maxElevation: 1.4, minDistance: 2.5, maxDistance: 8 };
+const ORBIT_SPEED = 0.01; // radians per pixel dragged
+const ZOOM_SPEED = 0.001; // per wheel delta unit
+const AUTO_ROTATE_SPEED = 0.001; // radians per frame
+const ORBIT_IDLE_MS = 4000; // auto-rotation resumes after this long without input
+const DRAG_THRESHOLD = 4; // px a press may move and still count as a click
+
+// Dropped cells: slope force, velocity damping and jitter per frame (terrain units)
+const ROLL_FORCE = 0.0004;
+const ROLL_DAMPING = 0.9;
+const ROLL_JITTER = 0.0015;
+const MAX_DROPPED_CELLS = 40;
+
+// Perturb: displacement of the simulated cell and velocity given to dropped
+// cells, both in terrain units
+const KICK_DISTANCE = 0.3;
+const KICK_VELOCITY = 0.03;
+
+// Valley sliders: depth scales TERRAIN_RELIEF, width scales the noise σ
+const SHAPE_RANGE = { depth: [0.5, 1.5], width: [0.5, 2] };
+const DEFAULT_SHAPE = { depth: 1, width: 1 };
+const RESHAPE_DELAY_MS = 150; // so a slider drag doesn't queue a rebuild per step
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Quasi-potential and attractors for a parameter set; the relief is the
+// depth slider's and is added by whoever draws it
+function createTerrain(params) {
+  return { params, potential: quasiPotential(params), attractors: findAttractors(params) };
 }
 
-// Calculate terrain height at a point - SMOOTH rolling hills with gaussian valleys
-function getTerrainHeight(x, z) {
-  // Base surface - gentle dome shape
-  const baseSurface = 0.8;
-
-  // Very low-frequency smooth undulation (like sand dunes)
-  const gentleWave = Math.sin(x * 0.8) * Math.cos(z * 0.6) * 0.15;
-
-  // Start with base surface
-  let height = baseSurface + gentleWave;
-
-  // Add smooth ridges between valleys using low-frequency sine waves
-  // Creates rolling hills, not spiky noise
-  const ridge1 = Math.sin((x + z) * 1.2) * 0.12;
-  const ridge2 = Math.cos((x - z * 0.7) * 1.5) * 0.08;
-  height += Math.max(0, ridge1) + Math.max(0, ridge2);
-
-  // Subtract gaussian wells to create distinct bowl-shaped valleys
-  // Each valley is a smooth depression like a crater or bowl
-  VALLEYS.forEach(valley => {
-    const depression = valley.depth * gaussian(x, z, valley.x, valley.z, valley.width);
-    height -= depression;
-  });
+// Builds terrains in utils/terrainWorker.js so the page keeps animating while
+// the simulation runs; without workers it builds them in place
+function createTerrainBuilder() {
+  if (typeof Worker === 'undefined') {
+    return { build: (params) => Promise.resolve(createTerrain(params)), terminate: () => {} };
+  }
+  const worker = new Worker(new URL('../utils/terrainWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // id -> { params, resolve }
+  let nextId = 0;
+  worker.onmessage = ({ data: { id, potential, attractors } }) => {
+    const job = pending.get(id);
+    pending.delete(id);
+    job?.resolve({ params: job.params, potential, attractors });
+  };
+  // A worker that fails to start or crashes falls back to building in place
+  worker.onerror = () => {
+    pending.forEach(({ params, resolve }) => resolve(createTerrain(params)));
+    pending.clear();
+  };
+  return {
+    build: (params) => new Promise(resolve => {
+      const id = nextId++;
+      pending.set(id, { params, resolve });
+      worker.postMessage({ id, params });
+    }),
+    terminate: () => worker.terminate(),
+  };
+}
 
-  // Add very subtle smooth ridge between valleys for separation
-  // This creates the "saddle" between adjacent attractors
-  const interValleyRidge = 0.08 * Math.exp(-Math.pow(z - 0.1, 2) / 0.8);
-  height += interValleyRidge;
+// Terrain height at a point (normalized terrain coordinates)
+function getTerrainHeight(terrain, x, z) {
+  return TERRAIN_BASE + terrain.relief * samplePotential(terrain.potential, x, z);
+}
 
-  return height;
+// Fraction of cells in each phenotype
+function phenotypeFractions(phenotypes) {
+  return Object.fromEntries(PHENOTYPES.map(phenotype =>
+    [phenotype, phenotypes.filter(p => p === phenotype).length / phenotypes.length]
+  ));
 }
 
-// Get gradient at a point (for ball physics)
-function getTerrainGradient(x, z) {
-  const epsilon = 0.05;
-  const hCenter = getTerrainHeight(x, z);
-  const hRight = getTerrainHeight(x + epsilon, z);
-  const hForward = getTerrainHeight(x, z + epsilon);
+// Advance a simulated cell { u, v, target } by one frame. A signal latches
+// onto whichever TF dominates the cell when it starts: that TF is inactivated
+// and the other one driven until the signal ends
+function advanceCell(cell, params, rng, signalOn) {
+  const target = signalOn ? cell.target || (cell.u >= cell.v ? 'tf1' : 'tf2') : null;
+  let state = cell;
+  for (let step = 0; step < SIM_SUBSTEPS; step++) {
+    state = eulerMaruyamaStep(state, params, rng, SIM_DT, target && { target });
+  }
+  return { u: state.u, v: state.v, target };
+}
 
+// Slope of the drawn terrain (central differences, one potential cell apart)
+function getTerrainGradient(terrain, x, z) {
+  const h = 2 / terrain.potential.resolution;
   return {
-    x: (hRight - hCenter) / epsilon,
-    z: (hForward - hCenter) / epsilon
+    x: (getTerrainHeight(terrain, x + h, z) - getTerrainHeight(terrain, x - h, z)) / (2 * h),
+    z: (getTerrainHeight(terrain, x, z + h) - getTerrainHeight(terrain, x, z - h)) / (2 * h),
   };
 }
 
-export default function WaddingtonLandscape({ frameIndex = 0 }) {
+export default function WaddingtonLandscape({ signal = false, params = TOGGLE_PARAMS, seed = 1, paused = false }) {
   const containerRef = useRef(null);
   const sceneRef = useRef(null);
   const ballRef = useRef(null);
   const trailRef = useRef([]);
-  const targetPositionRef = useRef({ x: 0, z: -0.3 });
-  const velocityRef = useRef({ x: 0, z: 0 });
-  const [currentValley, setCurrentValley] = useState('STEM');
+  const cellRef = useRef(null); // simulated { u, v, target } of the cell
+  const signalRef = useRef(signal);
+  const pausedRef = useRef(paused);
+  const [fractions, setFractions] = useState(phenotypeFractions(['PRODUCER']));
+  const [ensemble, setEnsemble] = useState(false);
+  const [droppedCount, setDroppedCount] = useState(0);
+  const [shape, setShape] = useState(DEFAULT_SHAPE);
   const [isLoading, setIsLoading] = useState(true);
   const [loadError, setLoadError] = useState(false);
 
   // Initialize Three.js scene
   useEffect(() => {
-    const initThreeJS = () => {
-      if (typeof window === 'undefined' || !window.THREE) {
-        setTimeout(initThreeJS, 100);
-        return;
-      }
-
-      if (!containerRef.current || sceneRef.current) return;
+    let cancelled = false;
 
+    const initThreeJS = async () => {
       try {
-        const THREE = window.THREE;
+        const THREE = await loadThree();
+        if (cancelled || !containerRef.current || sceneRef.current) return;
+
         const container = containerRef.current;
-        const width = 280;
-        const height = 180;
+        let terrainModel = { ...createTerrain(params), relief: TERRAIN_RELIEF };
+        const rng = createRng(seed);
+        const width = container.clientWidth || 280;
+        const height = container.clientHeight || 180;
 
         // Create scene
         const scene = new THREE.Scene();
@@ -133,14 +222,19 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
         const segments = 35; // Reduced from 60 - smoother flowing wireframe lines
         const geometry = new THREE.PlaneGeometry(terrainSize, terrainSize, segments, segments);
 
-        // Modify vertices to create landscape
-        const positions = geometry.attributes.position.array;
-        for (let i = 0; i < positions.length; i += 3) {
-          const x = positions[i] / (terrainSize / 2);
-          const z = positions[i + 1] / (terrainSize / 2);
-          positions[i + 2] = getTerrainHeight(x, z);
-        }
-        geometry.computeVertexNormals();
+        // Modify vertices to create landscape (again whenever the terrain is reshaped)
+        const shapeGeometry = (target) => {
+          const positions = target.attributes.position.array;
+          for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i] / (terrainSize / 2);
+            const z = positions[i + 1] / (terrainSize / 2);
+            positions[i + 2] = getTerrainHeight(terrainModel, x, z);
+          }
+          target.attributes.position.needsUpdate = true;
+          target.computeVertexNormals();
+          target.computeBoundingSphere();
+        };
+        shapeGeometry(geometry);
 
         // Create wireframe material (cyan terminal aesthetic)
         const terrainMaterial = new THREE.MeshBasicMaterial({
@@ -192,11 +286,14 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
         glow.renderOrder = 9;
         ball.add(glow);
 
-        // Position ball at starting valley - on top of terrain surface
+        // Start the cell in the PRODUCER attractor (or the first there is) -
+        // on top of terrain surface
         // Note: terrain is rotated -PI/2 around X, so worldZ = -normalizedZ * scale
-        const startX = 0;
-        const startZ = -0.35;
-        const startHeight = getTerrainHeight(startX, startZ);
+        const start = terrainModel.attractors.find(a => a.phenotype === 'PRODUCER') || terrainModel.attractors[0];
+        cellRef.current = { u: start.u, v: start.v, target: null };
+        setFractions(phenotypeFractions([start.phenotype]));
+        const { x: startX, z: startZ } = toTerrain(start.u, start.v, params);
+        const startHeight = getTerrainHeight(terrainModel, startX, startZ);
         // Ball sits ON terrain: height + radius + small offset
         ball.position.set(startX * (terrainSize / 2), startHeight + ballRadius + 0.02, -startZ * (terrainSize / 2));
         scene.add(ball);
@@ -215,63 +312,283 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
         scene.add(trailLine);
         trailRef.current = { line: trailLine, points: [] };
 
-        // Add valley labels as sprites - larger, more readable
-        VALLEYS.forEach(valley => {
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-          canvas.width = 256; // Doubled resolution
-          canvas.height = 64;
-
-          // Add subtle text shadow/glow for better readability
-          ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
-          ctx.shadowBlur = 6;
-          ctx.shadowOffsetX = 0;
-          ctx.shadowOffsetY = 2;
-
-          ctx.fillStyle = valley.color;
-          ctx.font = 'bold 22px JetBrains Mono, monospace';
-          ctx.textAlign = 'center';
-          ctx.fillText(valley.label, 128, 40);
-
-          const texture = new THREE.CanvasTexture(canvas);
-          const spriteMaterial = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            opacity: 0.9, // Increased from 0.7
+        // Label each attractor as a sprite - larger, more readable. Rebuilt
+        // with the terrain, since reshaping can move, add or remove attractors
+        let labels = [];
+        const placeLabels = () => {
+          labels.forEach(sprite => {
+            scene.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+          });
+          labels = terrainModel.attractors.map(attractor => {
+            const valley = { ...toTerrain(attractor.u, attractor.v, terrainModel.params), label: attractor.phenotype };
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            canvas.width = 256; // Doubled resolution
+            canvas.height = 64;
+
+            // Add subtle text shadow/glow for better readability
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            ctx.shadowBlur = 6;
+            ctx.shadowOffsetX = 0;
+            ctx.shadowOffsetY = 2;
+
+            ctx.fillStyle = PHENOTYPE_COLORS[attractor.phenotype];
+            ctx.font = 'bold 22px JetBrains Mono, monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(valley.label, 128, 40);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            const spriteMaterial = new THREE.SpriteMaterial({
+              map: texture,
+              transparent: true,
+              opacity: 0.9, // Increased from 0.7
+            });
+            const sprite = new THREE.Sprite(spriteMaterial);
+
+            const labelHeight = getTerrainHeight(terrainModel, valley.x, valley.z) - 0.1;
+            sprite.position.set(
+              valley.x * (terrainSize / 2),
+              labelHeight,
+              -valley.z * (terrainSize / 2)  // Negate for terrain rotation
+            );
+            sprite.scale.set(0.7, 0.175, 1); // Larger labels
+            scene.add(sprite);
+            return sprite;
           });
-          const sprite = new THREE.Sprite(spriteMaterial);
+        };
+        placeLabels();
+
+        // Dropped cells - small balls colored by the valley they are in
+        const droppedGeometry = new THREE.SphereGeometry(0.045, 12, 12);
+        const droppedMaterials = Object.fromEntries(PHENOTYPES.map(phenotype => [
+          phenotype,
+          new THREE.MeshBasicMaterial({ color: PHENOTYPE_COLORS[phenotype], transparent: true, opacity: 0.9 }),
+        ]));
+        let dropped = []; // { mesh, x, z, vx, vz } in normalized terrain coordinates
+
+        const phenotypeAt = (x, z) =>
+          nearestAttractor(fromTerrain(x, z, terrainModel.params), terrainModel.attractors).phenotype;
+
+        const placeDropped = (cell) => {
+          cell.mesh.position.set(
+            cell.x * (terrainSize / 2),
+            getTerrainHeight(terrainModel, cell.x, cell.z) + 0.045 + 0.02,
+            -cell.z * (terrainSize / 2)
+          );
+          cell.mesh.material = droppedMaterials[phenotypeAt(cell.x, cell.z)];
+        };
 
-          const labelHeight = getTerrainHeight(valley.x, valley.z) - 0.1;
-          sprite.position.set(
-            valley.x * (terrainSize / 2),
-            labelHeight,
-            -valley.z * (terrainSize / 2)  // Negate for terrain rotation
+        // Cells share droppedGeometry and droppedMaterials, so removing a mesh
+        // frees nothing; those are disposed once, on unmount
+        const removeCells = () => {
+          dropped.forEach(cell => scene.remove(cell.mesh));
+          dropped = [];
+        };
+        const disposeCells = () => {
+          removeCells();
+          droppedGeometry.dispose();
+          Object.values(droppedMaterials).forEach(material => material.dispose());
+        };
+
+        const dropCell = (x, z) => {
+          if (dropped.length >= MAX_DROPPED_CELLS) {
+            scene.remove(dropped.shift().mesh);
+          }
+          const material = droppedMaterials[phenotypeAt(x, z)]; // not Mesh's own default material
+          const cell = { mesh: new THREE.Mesh(droppedGeometry, material), x, z, vx: 0, vz: 0 };
+          cell.mesh.renderOrder = 10;
+          placeDropped(cell);
+          scene.add(cell.mesh);
+          dropped.push(cell);
+          setDroppedCount(dropped.length);
+        };
+
+        const clearCells = () => {
+          removeCells();
+          setDroppedCount(0);
+        };
+
+        // Ensemble - one instanced mesh, colored per instance by phenotype
+        const ensembleMesh = new THREE.InstancedMesh(
+          new THREE.SphereGeometry(ENSEMBLE_RADIUS, 8, 8),
+          new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.85 }),
+          ENSEMBLE_SIZE
+        );
+        ensembleMesh.renderOrder = 10;
+        ensembleMesh.visible = false;
+        scene.add(ensembleMesh);
+        const instanceMatrix = new THREE.Matrix4();
+        const phenotypeColors = Object.fromEntries(PHENOTYPES.map(phenotype =>
+          [phenotype, new THREE.Color(PHENOTYPE_COLORS[phenotype])]
+        ));
+        let population = null; // [{ u, v, target }] while ensemble mode is on
+
+        // Seed a clonal population in STEM (or wherever the single cell is, if
+        // the parameters leave no STEM attractor); off shows the ball again
+        const showEnsemble = (on) => {
+          const origin = terrainModel.attractors.find(a => a.phenotype === 'STEM') || cellRef.current;
+          population = on
+            ? Array.from({ length: ENSEMBLE_SIZE }, () => ({ u: origin.u, v: origin.v, target: null }))
+            : null;
+          ensembleMesh.visible = on;
+          ball.visible = !on;
+          trailLine.visible = !on;
+        };
+
+        // Kick a simulated cell in terrain space
+        const kickCell = (cell) => {
+          const here = toTerrain(cell.u, cell.v, terrainModel.params);
+          const kicked = fromTerrain(
+            here.x + KICK_DISTANCE * gaussian(rng),
+            here.z + KICK_DISTANCE * gaussian(rng),
+            terrainModel.params
           );
-          sprite.scale.set(0.7, 0.175, 1); // Larger labels
-          scene.add(sprite);
+          return { ...cell, u: Math.abs(kicked.u), v: Math.abs(kicked.v) };
+        };
+
+        // Kick every cell: simulated ones jump in state space, dropped ones
+        // get a random push
+        const perturb = () => {
+          cellRef.current = kickCell(cellRef.current);
+          population = population && population.map(kickCell);
+          dropped.forEach(cell => {
+            cell.vx += KICK_VELOCITY * gaussian(rng);
+            cell.vz += KICK_VELOCITY * gaussian(rng);
+          });
+        };
+
+        // Depth only rescales the relief; width changes the noise, so the
+        // quasi-potential (and the attractors' labels) are rebuilt - in the
+        // worker, once per noise level
+        const terrainBuilder = createTerrainBuilder();
+        const terrains = new Map([[params.noise, Promise.resolve(terrainModel)]]);
+        const terrainFor = (noise) => {
+          if (!terrains.has(noise)) terrains.set(noise, terrainBuilder.build({ ...params, noise }));
+          return terrains.get(noise);
+        };
+        const applyTerrain = (next) => {
+          terrainModel = next;
+          shapeGeometry(geometry);
+          shapeGeometry(solidTerrain.geometry);
+          placeLabels();
+          dropped.forEach(placeDropped);
+        };
+
+        let latestShape = 0; // only the newest slider position is applied
+        const reshape = ({ depth, width }) => {
+          const noise = params.noise * width;
+          const relief = TERRAIN_RELIEF * depth;
+          const request = ++latestShape;
+          if (noise === terrainModel.params.noise) {
+            if (relief !== terrainModel.relief) applyTerrain({ ...terrainModel, relief });
+            return;
+          }
+          terrainFor(noise).then(base => {
+            if (request === latestShape && sceneRef.current) applyTerrain({ ...base, relief });
+          });
+        };
+
+        // Drag to orbit, wheel to zoom, click to drop a cell where the
+        // pointer meets the terrain
+        const canvas = renderer.domElement;
+        const orbit = { ...ORBIT_START };
+        const raycaster = new THREE.Raycaster();
+        let pointer = null; // { id, x, y, dragged } while a button is down
+        let lastInteraction = -Infinity;
+
+        canvas.addEventListener('pointerdown', (e) => {
+          pointer = { id: e.pointerId, x: e.clientX, y: e.clientY, dragged: false };
+          canvas.setPointerCapture(e.pointerId);
         });
+        canvas.addEventListener('pointermove', (e) => {
+          if (!pointer || pointer.id !== e.pointerId) return;
+          const dx = e.clientX - pointer.x;
+          const dy = e.clientY - pointer.y;
+          if (!pointer.dragged && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+          pointer = { ...pointer, x: e.clientX, y: e.clientY, dragged: true };
+          orbit.azimuth += dx * ORBIT_SPEED;
+          orbit.elevation = clamp(orbit.elevation + dy * ORBIT_SPEED, ORBIT_LIMITS.minElevation, ORBIT_LIMITS.maxElevation);
+          lastInteraction = performance.now();
+        });
+        canvas.addEventListener('pointerup', (e) => {
+          if (!pointer || pointer.id !== e.pointerId) return;
+          const { dragged } = pointer;
+          pointer = null;
+          if (dragged) return;
+
+          const rect = canvas.getBoundingClientRect();
+          raycaster.setFromCamera(new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+          ), camera);
+          const [hit] = raycaster.intersectObject(solidTerrain);
+          if (!hit) return;
+          playSelect();
+          dropCell(
+            clamp(hit.point.x / (terrainSize / 2), -0.9, 0.9),
+            clamp(-hit.point.z / (terrainSize / 2), -0.9, 0.9)
+          );
+        });
+        canvas.addEventListener('pointercancel', () => {
+          pointer = null;
+        });
+        canvas.addEventListener('wheel', (e) => {
+          e.preventDefault();
+          orbit.distance = clamp(orbit.distance * Math.exp(e.deltaY * ZOOM_SPEED), ORBIT_LIMITS.minDistance, ORBIT_LIMITS.maxDistance);
+          lastInteraction = performance.now();
+        }, { passive: false });
+
+        // Follow the container's size (the hero panel can be expanded)
+        let frozen = null; // what the paused scene last showed
+        const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(() => {
+          const { clientWidth, clientHeight } = container;
+          if (!clientWidth || !clientHeight) return;
+          renderer.setSize(clientWidth, clientHeight);
+          camera.aspect = clientWidth / clientHeight;
+          camera.updateProjectionMatrix();
+          frozen = null;
+        });
+        resizeObserver?.observe(container);
 
         // Store references
-        sceneRef.current = { scene, camera, renderer, terrain, terrainSize };
+        sceneRef.current = { scene, camera, renderer, resizeObserver, terrainBuilder, terrain, terrainSize, perturb, clearCells, disposeCells, reshape, showEnsemble };
         setIsLoading(false);
 
         // Animation loop - slow and contemplative
-        let rotationAngle = 0;
         let frameCount = 0;
         const animate = () => {
           if (!sceneRef.current) return;
           frameCount++;
+          const paused = pausedRef.current;
+
+          // While paused nothing moves on its own, so only redraw when the
+          // camera, the cells or the terrain have been changed by hand
+          if (paused) {
+            const view = [orbit.azimuth, orbit.elevation, orbit.distance, dropped.length, population, terrainModel];
+            if (frozen && view.every((value, i) => value === frozen[i])) {
+              requestAnimationFrame(animate);
+              return;
+            }
+            frozen = view;
+          } else {
+            frozen = null;
+          }
 
-          // Very slow camera rotation (50% slower than before)
-          rotationAngle += 0.001;
-          const radius = 3.8;
-          camera.position.x = Math.cos(rotationAngle) * radius;
-          camera.position.z = Math.sin(rotationAngle) * radius;
-          camera.position.y = 3.2;
+          // Very slow camera rotation while nobody is steering
+          if (!paused && !pointer && performance.now() - lastInteraction > ORBIT_IDLE_MS) {
+            orbit.azimuth += AUTO_ROTATE_SPEED;
+          }
+          const ground = Math.cos(orbit.elevation) * orbit.distance;
+          camera.position.x = Math.cos(orbit.azimuth) * ground;
+          camera.position.z = Math.sin(orbit.azimuth) * ground;
+          camera.position.y = Math.sin(orbit.elevation) * orbit.distance;
           camera.lookAt(0, -0.2, 0);
 
-          // Update ball physics - slow and smooth like rolling through honey
-          if (ballRef.current) {
+          // Update the cell: simulate a few steps, then move the ball along
+          if (ballRef.current && !paused) {
             const ball = ballRef.current;
             const terrainSize = sceneRef.current.terrainSize;
 
@@ -280,54 +597,28 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
             const normX = ball.position.x / (terrainSize / 2);
             const normZ = -ball.position.z / (terrainSize / 2);
 
-            // Get target from ref
-            const target = targetPositionRef.current;
-            const velocity = velocityRef.current;
-
-            // Calculate force toward target valley
-            const dx = target.x - normX;
-            const dz = target.z - normZ;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            // SLOW physics: reduced force (20-30% of original), high damping
-            // Creates honey-like rolling motion
-            const force = 0.0004; // Reduced from 0.002 (80% slower)
-            const damping = 0.985; // Increased damping for smoother deceleration
-
-            if (dist > 0.03) {
-              // Ease-out force application: stronger when far, gentle when close
-              const distanceFactor = Math.min(1, dist / 0.5);
-              const easedForce = force * (0.3 + 0.7 * distanceFactor * distanceFactor);
-              velocity.x += (dx / dist) * easedForce;
-              velocity.z += (dz / dist) * easedForce;
-            }
+            // Advance the simulated cell (Euler–Maruyama) under the current signal
+            const cell = advanceCell(cellRef.current, terrainModel.params, rng, signalRef.current);
+            cellRef.current = cell;
 
-            // Add terrain gradient influence (reduced for smoother rolling)
-            const gradient = getTerrainGradient(normX, normZ);
-            velocity.x -= gradient.x * 0.0003;
-            velocity.z -= gradient.z * 0.0003;
+            // The ball follows the cell's trajectory, smoothed a little so the
+            // noise reads as jitter rather than teleporting
+            const target = toTerrain(cell.u, cell.v, terrainModel.params);
+            const newNormX = normX + (target.x - normX) * BALL_SMOOTHING;
+            const newNormZ = normZ + (target.z - normZ) * BALL_SMOOTHING;
 
-            // Apply damping for smooth deceleration
-            velocity.x *= damping;
-            velocity.z *= damping;
+            // Clamp to terrain bounds
+            const clampedX = clamp(newNormX, -0.9, 0.9);
+            const clampedZ = clamp(newNormZ, -0.9, 0.9);
 
-            // Gentle oscillation when settled in valley (subtle breathing)
-            if (dist < 0.1 && Math.abs(velocity.x) < 0.001 && Math.abs(velocity.z) < 0.001) {
-              const oscillation = Math.sin(frameCount * 0.02) * 0.002;
-              velocity.x += oscillation * (Math.random() - 0.5);
-              velocity.z += oscillation * (Math.random() - 0.5);
+            // Phenotype = nearest attractor (checked a few times a second)
+            if (!population && frameCount % PHENOTYPE_INTERVAL === 0) {
+              const phenotype = nearestAttractor(cell, terrainModel.attractors).phenotype;
+              setFractions(previous => (previous[phenotype] === 1 ? previous : phenotypeFractions([phenotype])));
             }
 
-            // Update position
-            const newNormX = normX + velocity.x;
-            const newNormZ = normZ + velocity.z;
-
-            // Clamp to terrain bounds
-            const clampedX = Math.max(-0.9, Math.min(0.9, newNormX));
-            const clampedZ = Math.max(-0.9, Math.min(0.9, newNormZ));
-
             // Sample terrain height at ball position - ball sits ON surface
-            const terrainHeightAtBall = getTerrainHeight(clampedX, clampedZ);
+            const terrainHeightAtBall = getTerrainHeight(terrainModel, clampedX, clampedZ);
             const ballRadius = ball.ballRadius || 0.08;
 
             ball.position.x = clampedX * (terrainSize / 2);
@@ -359,12 +650,56 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
             }
           }
 
+          // Advance the ensemble; recolor it and update the readout a few times a second
+          if (population) {
+            if (!paused) population = population.map(cell => advanceCell(cell, terrainModel.params, rng, signalRef.current));
+            const recolor = paused || frameCount % PHENOTYPE_INTERVAL === 0;
+            const phenotypes = [];
+            population.forEach((cell, i) => {
+              const { x, z } = toTerrain(cell.u, cell.v, terrainModel.params);
+              const cx = clamp(x, -0.9, 0.9);
+              const cz = clamp(z, -0.9, 0.9);
+              instanceMatrix.makeTranslation(
+                cx * (terrainSize / 2),
+                getTerrainHeight(terrainModel, cx, cz) + ENSEMBLE_RADIUS + 0.02,
+                -cz * (terrainSize / 2)
+              );
+              ensembleMesh.setMatrixAt(i, instanceMatrix);
+              if (recolor) {
+                const { phenotype } = nearestAttractor(cell, terrainModel.attractors);
+                ensembleMesh.setColorAt(i, phenotypeColors[phenotype]);
+                phenotypes.push(phenotype);
+              }
+            });
+            ensembleMesh.instanceMatrix.needsUpdate = true;
+            if (recolor) {
+              ensembleMesh.instanceColor.needsUpdate = true;
+              setFractions(phenotypeFractions(phenotypes));
+            }
+          }
+
+          // Roll the dropped cells downhill: slope force, damping and jitter,
+          // stopped at the edge of the terrain
+          if (!paused) dropped.forEach(cell => {
+            const slope = getTerrainGradient(terrainModel, cell.x, cell.z);
+            cell.vx = (cell.vx - slope.x * ROLL_FORCE) * ROLL_DAMPING + ROLL_JITTER * gaussian(rng);
+            cell.vz = (cell.vz - slope.z * ROLL_FORCE) * ROLL_DAMPING + ROLL_JITTER * gaussian(rng);
+            const x = clamp(cell.x + cell.vx, -0.9, 0.9);
+            const z = clamp(cell.z + cell.vz, -0.9, 0.9);
+            if (x !== cell.x + cell.vx) cell.vx = 0;
+            if (z !== cell.z + cell.vz) cell.vz = 0;
+            cell.x = x;
+            cell.z = z;
+            placeDropped(cell);
+          });
+
           renderer.render(scene, camera);
           requestAnimationFrame(animate);
         };
         animate();
 
       } catch (err) {
+        if (cancelled) return;
         console.error('Failed to initialize Three.js:', err);
         setLoadError(true);
         setIsLoading(false);
@@ -374,8 +709,12 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
     initThreeJS();
 
     return () => {
+      cancelled = true;
       if (sceneRef.current) {
-        const { renderer } = sceneRef.current;
+        const { renderer, resizeObserver, terrainBuilder, disposeCells } = sceneRef.current;
+        resizeObserver?.disconnect();
+        terrainBuilder.terminate();
+        disposeCells();
         if (renderer && renderer.domElement && containerRef.current) {
           containerRef.current.removeChild(renderer.domElement);
         }
@@ -386,31 +725,39 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
     };
   }, []);
 
-  // Update target valley based on frame
+  // The animation loop reads the signal and the pause from refs
   useEffect(() => {
-    // Determine current phenotype from frame index (extended to 16 frames for slower cycle)
-    let currentPhenotype = 'STEM';
-    for (const cycle of PHENOTYPE_CYCLE) {
-      if (cycle.frames.includes(frameIndex % 16)) {
-        currentPhenotype = cycle.phenotype;
-        break;
-      }
-    }
+    signalRef.current = signal;
+  }, [signal]);
 
-    // Find target valley
-    const targetValley = VALLEYS.find(v => v.id === currentPhenotype) || VALLEYS[0];
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
 
-    // Update target position
-    targetPositionRef.current = { x: targetValley.x, z: targetValley.z };
-    setCurrentValley(currentPhenotype);
+  useEffect(() => {
+    sceneRef.current?.showEnsemble(ensemble);
+  }, [ensemble, isLoading]);
 
-    // Add gentle perturbation when switching states (not a teleport)
-    if (velocityRef.current) {
-      // Reduced perturbation for smooth transition
-      velocityRef.current.x += (Math.random() - 0.5) * 0.005;
-      velocityRef.current.z += (Math.random() - 0.5) * 0.005;
-    }
-  }, [frameIndex]);
+  // Rebuild the terrain once the sliders settle
+  useEffect(() => {
+    const timer = setTimeout(() => sceneRef.current?.reshape(shape), RESHAPE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [shape]);
+
+  const perturb = () => {
+    playClick();
+    sceneRef.current?.perturb();
+  };
+
+  const clearCells = () => {
+    playClick();
+    sceneRef.current?.clearCells();
+  };
+
+  const toggleEnsemble = () => {
+    playClick();
+    setEnsemble(!ensemble);
+  };
 
   // Fallback visualization
   const FallbackVisualization = () => (
@@ -447,6 +794,7 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
             ref={containerRef}
             className="waddington-viewer-canvas"
             style={{ opacity: isLoading ? 0 : 1 }}
+            title="drag to orbit · scroll to zoom · click to drop a cell"
           />
           {isLoading && (
             <div className="waddington-loading">
@@ -456,11 +804,49 @@ export default function WaddingtonLandscape({ frameIndex = 0 }) {
           )}
         </>
       )}
-      <div className="waddington-labels">
-        <div className="waddington-fate-indicator">
-          <span className={`fate-dot ${currentValley.toLowerCase()}`} />
-          <span className="fate-text">current phenotype</span>
+      {!loadError && !isLoading && (
+        <div className="waddington-controls">
+          <button
+            type="button"
+            className={`waddington-button ${ensemble ? 'active' : ''}`}
+            onClick={toggleEnsemble}
+            aria-pressed={ensemble}
+          >
+            ensemble
+          </button>
+          <button type="button" className="waddington-button" onClick={perturb}>perturb</button>
+          {droppedCount > 0 && (
+            <button type="button" className="waddington-button" onClick={clearCells}>
+              clear {droppedCount}
+            </button>
+          )}
+          {Object.entries(SHAPE_RANGE).map(([key, [min, max]]) => (
+            <label key={key} className="waddington-slider">
+              <span>{key}</span>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={0.05}
+                value={shape[key]}
+                aria-valuetext={`${shape[key].toFixed(2)}×`}
+                onChange={(e) => setShape({ ...shape, [key]: Number(e.target.value) })}
+              />
+            </label>
+          ))}
         </div>
+      )}
+      <div className="waddington-labels" aria-label={ensemble ? `fate distribution of ${ENSEMBLE_SIZE} cells` : 'current phenotype'}>
+        {PHENOTYPES.map(phenotype => (
+          <div key={phenotype} className={`waddington-fate-row ${fractions[phenotype] > 0 ? '' : 'empty'}`}>
+            <span className={`fate-dot ${phenotype.toLowerCase()}`} />
+            <span className="fate-text">{phenotype}</span>
+            <span className="fate-bar">
+              <span className={`fate-bar-fill ${phenotype.toLowerCase()}`} style={{ width: `${fractions[phenotype] * 100}%` }} />
+            </span>
+            <span className="fate-percent">{Math.round(fractions[phenotype] * 100)}%</span>
+          </div>
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,50 @@
+import { playClick } from '../utils/soundManager.js';
+
+// What-if sliders for the DECISION SYSTEMS panel. Each slider shifts one lever
+// from its factual value, in standard deviations; AsciiPanel recomputes the
+// outcomes through the causal model and shows factual vs counterfactual.
+const SHIFT_RANGE = 2;
+const SHIFT_STEP = 0.1;
+
+const formatShift = (shift) => `${shift > 0 ? '+' : shift < 0 ? '−' : '±'}${Math.abs(shift).toFixed(1)}σ`;
+
+export default function WhatIfPanel({ levers, shifts, onChange }) {
+  const changed = levers.filter(lever => shifts[lever.id] !== 0);
+
+  const reset = () => {
+    playClick();
+    onChange(Object.fromEntries(levers.map(lever => [lever.id, 0])));
+  };
+
+  return (
+    <div className="whatif-panel">
+      <div className="whatif-header">
+        <span className="metric-label">
+          {changed.length > 0
+            ? `do(${changed.map(lever => `${lever.label}${formatShift(shifts[lever.id])}`).join(', ')})`
+            : 'what if? shift a lever'}
+        </span>
+        {changed.length > 0 && (
+          <button type="button" className="whatif-reset" onClick={reset}>reset</button>
+        )}
+      </div>
+      <div className="whatif-sliders">
+        {levers.map(lever => (
+          <label key={lever.id} className="whatif-slider">
+            <span className="metric-label">{lever.label}</span>
+            <input
+              type="range"
+              min={-SHIFT_RANGE}
+              max={SHIFT_RANGE}
+              step={SHIFT_STEP}
+              value={shifts[lever.id]}
+              aria-valuetext={formatShift(shifts[lever.id])}
+              onChange={(e) => onChange({ ...shifts, [lever.id]: Number(e.target.value) })}
+            />
+            <span className="metric-value whatif-shift">{formatShift(shifts[lever.id])}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
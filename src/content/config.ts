@@ -0,0 +1,113 @@
+import { defineCollection, z } from 'astro:content';
+import { categoryRegistry } from '../data/categories.js';
+import { parseGraph } from '../utils/causalGraph.js';
+import { ANNOTATION_STYLES, STRUCTURE_FORMATS, validateStructure } from '../utils/structure.js';
+import { assertStructureFile } from '../utils/structureFiles.js';
+
+// Tag field validated against one family of the category registry, so a typo
+// fails the build instead of rendering the raw tag as a label
+const tagList = (field: keyof typeof categoryRegistry) => {
+  const known = Object.keys(categoryRegistry[field]);
+  return z
+    .array(
+      z.string().refine((tag) => known.includes(tag), (tag) => ({
+        message: `Unknown ${field} tag "${tag}". Add it to src/data/categories.js or use one of: ${known.join(', ')}`,
+      }))
+    )
+    .min(1, { message: `At least one ${field} tag is required` });
+};
+
+// One Markdown file per project; the body is the expanded card details
+const accomplishments = defineCollection({
+  type: 'content',
+  schema: z.object({
+    title: z.string(),
+    order: z.number().int(),
+    summary: z.string(),
+    goals: tagList('goals'),
+    methods: tagList('methods'),
+    industries: tagList('industries'),
+    metrics: z
+      .array(z.string().min(1, { message: 'Metrics cannot be empty strings' }))
+      .min(1, { message: 'At least one metric is required (the card shows the first two)' }),
+    // Optional causal diagram for the expanded card: DOT ("digraph { ... }"),
+    // dagitty ("dag { ... }") or JSON - see src/utils/causalGraph.js
+    causal: z
+      .string()
+      .superRefine((source, ctx) => {
+        try {
+          parseGraph(source);
+        } catch (err) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid causal graph: ${(err as Error).message}` });
+        }
+      })
+      .optional(),
+    // Optional 3D protein structure for the expanded card - a PDB/mmCIF file
+    // under public/, an RCSB PDB ID or inline data, plus residue annotations; see
+    // src/utils/structure.js
+    structure: z
+      .object({
+        source: z.object({
+          file: z.string().optional(),
+          pdb: z.string().optional(),
+          data: z.string().optional(),
+          format: z.enum(STRUCTURE_FORMATS as [string, ...string[]]).optional(),
+        }),
+        annotations: z
+          .array(
+            z.object({
+              id: z.string(),
+              label: z.string(),
+              residues: z.array(z.number().int()).min(1),
+              color: z.string(),
+              style: z.enum(ANNOTATION_STYLES as [string, ...string[]]).default('stick'),
+              chain: z.string().optional(),
+              radius: z.number().positive().optional(),
+              opacity: z.number().min(0).max(1).optional(),
+            })
+          )
+          .default([]),
+        mutations: z.string().optional(),
+      })
+      .superRefine((structure, ctx) => {
+        try {
+          validateStructure(structure);
+          assertStructureFile(structure.source);
+        } catch (err) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid structure: ${(err as Error).message}` });
+        }
+      })
+      .optional(),
+  }),
+});
+
+// One Markdown/MDX file per post; the filename is the URL slug.
+// Tags become /posts/tags/<tag> pages; tags that are also method categories
+// (e.g. causal-inference) link the post and the matching projects together.
+const blog = defineCollection({
+  type: 'content',
+  schema: z.object({
+    title: z.string(),
+    date: z.coerce.date(),
+    updated: z.coerce.date().optional(),
+    summary: z.string(),
+    tags: z
+      .array(z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, { message: 'Tags must be lowercase kebab-case, e.g. causal-inference' }))
+      .default([]),
+    draft: z.boolean().default(false),
+  }),
+});
+
+// Past newsletter issues listed on /newsletter; `url` points at the provider's archive copy
+const newsletter = defineCollection({
+  type: 'content',
+  schema: z.object({
+    issue: z.number().int().positive(),
+    title: z.string(),
+    date: z.coerce.date(),
+    summary: z.string(),
+    url: z.string().url().optional(),
+  }),
+});
+
+export const collections = { accomplishments, blog, newsletter };
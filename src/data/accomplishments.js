@@ -0,0 +1,24 @@
+import { getCollection } from 'astro:content';
+
+// Load the accomplishments collection as the plain objects FilterToggle expects,
+// ordered by the `order` frontmatter field. The Markdown body becomes `details`;
+// `causal` is the card's optional causal graph source, `structure` its
+// optional protein structure.
+export async function getAccomplishments() {
+  const entries = await getCollection('accomplishments');
+
+  return entries
+    .sort((a, b) => a.data.order - b.data.order)
+    .map(({ slug, body, data }) => ({
+      id: slug,
+      title: data.title,
+      summary: data.summary,
+      goals: data.goals,
+      methods: data.methods,
+      industries: data.industries,
+      details: body.trim(),
+      metrics: data.metrics,
+      causal: data.causal ?? null,
+      structure: data.structure ?? null,
+    }));
+}
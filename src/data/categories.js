@@ -0,0 +1,42 @@
+// Category registry shared by the accomplishments collection schema and FilterToggle.
+// Every tag used in src/content/accomplishments must be a key of the matching registry.
+
+// Goal Categories (Business Outcomes)
+export const goalCategories = {
+  'grow-revenue': { label: 'Grow Revenue', icon: '📈', description: 'Increase sales, conversions, and revenue' },
+  'reduce-costs': { label: 'Reduce Costs', icon: '💰', description: 'Cut operational expenses and inefficiencies' },
+  'improve-operations': { label: 'Improve Operations', icon: '⚡', description: 'Streamline processes and automation' },
+  'improve-experience': { label: 'Improve Experience', icon: '😊', description: 'Enhance customer satisfaction' },
+  'expand-market': { label: 'Expand Market', icon: '🚀', description: 'Enter new markets and segments' },
+  'improve-targeting': { label: 'Improve Targeting', icon: '🎯', description: 'Better audience and lead targeting' },
+  'improve-margins': { label: 'Improve Margins', icon: '📊', description: 'Optimize pricing and profitability' },
+  'reduce-risk': { label: 'Reduce Risk', icon: '🛡️', description: 'Minimize business and operational risk' },
+};
+
+// Method Categories (ML Techniques)
+export const methodCategories = {
+  'llms': { label: 'LLMs & GenAI', icon: '🔮', description: 'Large language models and generative AI' },
+  'interpretable-ml': { label: 'Interpretable ML', icon: '💡', description: 'Transparent models with explainable insights' },
+  'causal-inference': { label: 'Causal Inference', icon: '🎯', description: 'Cause-effect analysis and impact measurement' },
+  'mlops': { label: 'MLOps', icon: '⚙️', description: 'Production ML systems and pipelines' },
+};
+
+// Industry Categories
+export const industryCategories = {
+  'b2b-sales': { label: 'B2B Sales', icon: '🤝', description: 'Enterprise sales and account management' },
+  'saas': { label: 'SaaS', icon: '☁️', description: 'Software as a service' },
+  'supply-chain': { label: 'Supply Chain', icon: '📦', description: 'Inventory, logistics, demand planning' },
+  'retail': { label: 'Retail', icon: '🏪', description: 'Store operations and expansion' },
+  'customer-support': { label: 'Customer Support', icon: '💬', description: 'Help desk and ticket management' },
+  'e-commerce': { label: 'E-commerce', icon: '🛒', description: 'Online retail and marketplaces' },
+  'legal': { label: 'Legal', icon: '⚖️', description: 'Contract analysis and compliance' },
+  'finance': { label: 'Finance', icon: '💵', description: 'Financial services and banking' },
+  'real-estate': { label: 'Real Estate', icon: '🏢', description: 'Property and location intelligence' },
+};
+
+// All three tag families, keyed by the frontmatter field they validate
+export const categoryRegistry = {
+  goals: goalCategories,
+  methods: methodCategories,
+  industries: industryCategories,
+};
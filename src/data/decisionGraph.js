@@ -0,0 +1,69 @@
+// Default graph for the DECISION SYSTEMS hero panel (CausalNetworkVisualization).
+// Same JSON shape parseGraph accepts from cards; tiers are pinned so the levers
+// share a row, everything else is laid out automatically.
+//
+//   TIER 1: MARKET (exogenous)
+//   TIER 2: PRICE, PROMO, CHANNEL, OPS (levers)
+//   TIER 3: AWARENESS, DEMAND, CONVERSION (mediators)
+//   TIER 4: SATISFACTION, RETENTION, REVENUE (outcomes)
+//
+// Coefficients are on the logit scale for logistic nodes. Levers and MARKET are
+// standardized (noise sd 1), so do(X↑) shifts X by one sd; CONVERSION and
+// RETENTION are rates.
+export const decisionGraph = {
+  nodes: [
+    { id: 'MARKET', label: 'MARKET', type: 'exogenous', tier: 0, equation: { type: 'linear', intercept: 0, noise: 1 } },
+
+    { id: 'PRICE', label: 'PRICE', type: 'lever', tier: 1, equation: { type: 'linear', intercept: 0, noise: 1 } },
+    { id: 'PROMO', label: 'PROMO', type: 'lever', tier: 1, equation: { type: 'linear', intercept: 0, noise: 1 } },
+    { id: 'CHANNEL', label: 'CHANNEL', type: 'lever', tier: 1, equation: { type: 'linear', intercept: 0, noise: 1 } },
+    { id: 'OPS', label: 'OPS', type: 'lever', tier: 1, equation: { type: 'linear', intercept: 0, noise: 1 } },
+
+    { id: 'AWARENESS', label: 'AWARE', type: 'mediator', tier: 2, equation: { type: 'linear', intercept: 0, noise: 0.5 } },
+    { id: 'DEMAND', label: 'DEMAND', type: 'mediator', tier: 2, equation: { type: 'linear', intercept: 0, noise: 0.5 } },
+    { id: 'CONVERSION', label: 'CONV', type: 'mediator', tier: 2, equation: { type: 'logistic', intercept: -1.5, noise: 0.3 } },
+
+    { id: 'SATISFACTION', label: 'SATIS', type: 'outcome', tier: 3, equation: { type: 'linear', intercept: 0, noise: 0.5 } },
+    { id: 'RETENTION', label: 'RETAIN', type: 'outcome', tier: 3, equation: { type: 'logistic', intercept: 0.8, noise: 0.3 } },
+    { id: 'REVENUE', label: 'REVENUE', type: 'outcome', tier: 3, equation: { type: 'linear', intercept: 0, noise: 0.2 } },
+  ],
+  edges: [
+    // From MARKET
+    { from: 'MARKET', to: 'DEMAND', coef: 0.5 },
+
+    // From PRICE (all negative effects)
+    { from: 'PRICE', to: 'DEMAND', coef: -0.6 },
+    { from: 'PRICE', to: 'CONVERSION', coef: -0.8 },
+    { from: 'PRICE', to: 'SATISFACTION', coef: -0.3 },
+
+    // From PROMO
+    { from: 'PROMO', to: 'AWARENESS', coef: 0.7 },
+
+    // From CHANNEL
+    { from: 'CHANNEL', to: 'AWARENESS', coef: 0.4 },
+    { from: 'CHANNEL', to: 'CONVERSION', coef: 0.5 },
+
+    // From OPS
+    { from: 'OPS', to: 'CONVERSION', coef: 0.3 },
+    { from: 'OPS', to: 'SATISFACTION', coef: 0.6 },
+
+    // Mediators and outcomes
+    { from: 'AWARENESS', to: 'DEMAND', coef: 0.5 },
+    { from: 'DEMAND', to: 'CONVERSION', coef: 0.4 },
+    { from: 'CONVERSION', to: 'REVENUE', coef: 3.0 },
+    { from: 'SATISFACTION', to: 'RETENTION', coef: 0.9 },
+
+    // FEEDBACK LOOPS (time-lagged: read the previous step's value)
+    { from: 'RETENTION', to: 'DEMAND', coef: 0.8, feedback: true, side: 'left' },
+    { from: 'REVENUE', to: 'PROMO', coef: 0.3, feedback: true, side: 'right' },
+  ],
+};
+
+// What-if readout for the DECISION SYSTEMS panel: which node each metric
+// reads and how to show it. One REVENUE unit is $3M (≈ $2.4M at baseline);
+// churn is the complement of RETENTION.
+export const decisionMetrics = [
+  { id: 'conversion', label: 'CONVERSION', node: 'CONVERSION', toDisplay: (v) => v * 100, format: (v) => `${v.toFixed(1)}%`, max: 50, higherIsBetter: true },
+  { id: 'revenue', label: 'REVENUE', node: 'REVENUE', toDisplay: (v) => v * 3, format: (v) => `$${v.toFixed(2)}M`, max: 5, higherIsBetter: true },
+  { id: 'churn', label: 'CHURN', node: 'RETENTION', toDisplay: (v) => (1 - v) * 100, format: (v) => `${v.toFixed(1)}%`, max: 50, higherIsBetter: false },
+];
@@ -0,0 +1,15 @@
+// Default structure for the ENZYME ENGINEERING hero panel (MolecularViewer):
+// hen egg-white lysozyme, PDB entry 1LYZ, fetched from the RCSB. Same shape a
+// card's `structure` block takes - see src/utils/structure.js.
+//
+// Catalytic residues Glu35 and Asp52; 62, 101 and 117 stand in for
+// allosteric positions distant from the active site. The hero panel draws
+// highlights that follow its optimizer run instead (AsciiHeroAnimation);
+// these annotations apply wherever the structure is shown on its own.
+export const enzymeStructure = {
+  source: { pdb: '1LYZ' },
+  annotations: [
+    { id: 'active', label: 'active site', residues: [35, 52], color: '#ffffff', style: 'stick' },
+    { id: 'allosteric', label: 'allosteric', residues: [101, 117, 62], color: '#00ffaa', style: 'sphere' },
+  ],
+};
@@ -0,0 +1,24 @@
+// ASCII frames for the hero's regulatory and decision panels
+// (AsciiHeroAnimation), one .asc file per frame under
+// src/data/frames/<panel>/. They're bundled at build time and checked as the
+// hero renders, so a misaligned frame fails the build with its file, line and
+// column - format and checks in utils/asciiFrames.js.
+import { loadPanelFrames } from '../utils/asciiFrames.js';
+
+const frameFiles = import.meta.glob('./frames/*/*.asc', { query: '?raw', import: 'default', eager: true });
+
+// { 'src/data/frames/<panel>/<file>': source } for one panel
+const panelFiles = (panel) =>
+  Object.fromEntries(
+    Object.entries(frameFiles)
+      .filter(([path]) => path.startsWith(`./frames/${panel}/`))
+      .map(([path, source]) => [path.replace('./', 'src/data/'), source])
+  );
+
+// Front matter: switch state, stability and phenotype position; `signal`
+// frames also drive WaddingtonLandscape
+export const regulatoryFrames = loadPanelFrames('regulatory', panelFiles('regulatory'), {
+  required: ['state', 'stability', 'v', 'p'],
+});
+
+export const decisionFrames = loadPanelFrames('decision', panelFiles('decision'));
@@ -0,0 +1,18 @@
+// Newsletter provider settings, passed to NewsletterSignup as a prop.
+// Choose a provider with PUBLIC_NEWSLETTER_PROVIDER (buttondown | mailchimp | http | mock):
+//   buttondown: PUBLIC_BUTTONDOWN_USERNAME
+//   mailchimp:  PUBLIC_MAILCHIMP_ACTION (the embedded form's action URL)
+//   http:       PUBLIC_NEWSLETTER_ENDPOINT (POST, form-encoded `email` field)
+// Without a provider, `astro dev` uses the local mock adapter so the flow works
+// offline, and a build shows that signups aren't open. A provider missing its
+// setting (or the mock outside dev) fails the build.
+import { validateNewsletterConfig } from '../utils/newsletter.js';
+
+const env = import.meta.env;
+
+export const newsletterConfig = validateNewsletterConfig({
+  provider: env.PUBLIC_NEWSLETTER_PROVIDER || (env.DEV ? 'mock' : null),
+  username: env.PUBLIC_BUTTONDOWN_USERNAME,
+  action: env.PUBLIC_MAILCHIMP_ACTION,
+  endpoint: env.PUBLIC_NEWSLETTER_ENDPOINT,
+}, { dev: env.DEV });
@@ -0,0 +1,24 @@
+import { getCollection } from 'astro:content';
+
+// Published posts, newest first. Drafts only show up in `astro dev`.
+export async function getPosts() {
+  const posts = await getCollection('blog', ({ data }) => import.meta.env.DEV || !data.draft);
+  return posts.sort((a, b) => b.data.date.valueOf() - a.data.date.valueOf());
+}
+
+// YYYY-MM-DD, matching the terminal-style dates on the posts listing
+export const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Tags used across posts with their post counts, most used first: [{ tag, count }]
+export function getTagCounts(posts) {
+  const counts = {};
+  posts.forEach((post) => {
+    post.data.tags.forEach((tag) => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
@@ -0,0 +1,28 @@
+import { getAccomplishments } from './accomplishments.js';
+import { getPosts, formatDate } from './posts.js';
+import { categoryRegistry } from './categories.js';
+import { buildSearchIndex } from '../utils/search.js';
+
+// Everything the shell overlay needs, served as /shell.json (pages/shell.json.js)
+export async function getShellData() {
+  const projects = await getAccomplishments();
+  const posts = (await getPosts()).map((post) => ({
+    id: post.slug,
+    title: post.data.title,
+    date: formatDate(post.data.date),
+    summary: post.data.summary,
+    tags: post.data.tags,
+  }));
+
+  return {
+    projects,
+    posts,
+    categories: categoryRegistry,
+    projectIndex: buildSearchIndex(projects),
+    postIndex: buildSearchIndex(posts, (post) => ({
+      title: post.title,
+      summary: post.summary,
+      metrics: post.tags.join(' '),
+    })),
+  };
+}
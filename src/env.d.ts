@@ -1 +1,8 @@
-/// <reference path="../.astro/types.d.ts" />
\ No newline at end of file
+/// <reference path="../.astro/types.d.ts" />
+
+interface ImportMetaEnv {
+  readonly PUBLIC_NEWSLETTER_PROVIDER?: 'buttondown' | 'mailchimp' | 'http' | 'mock';
+  readonly PUBLIC_BUTTONDOWN_USERNAME?: string;
+  readonly PUBLIC_MAILCHIMP_ACTION?: string;
+  readonly PUBLIC_NEWSLETTER_ENDPOINT?: string;
+}
@@ -0,0 +1,8 @@
+import { getFeed, renderAtom } from '../utils/feeds.js';
+
+export async function GET(context) {
+  const feed = await getFeed(context.site);
+  return new Response(renderAtom(feed), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  });
+}
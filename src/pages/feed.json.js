@@ -0,0 +1,8 @@
+import { getFeed, renderJsonFeed } from '../utils/feeds.js';
+
+export async function GET(context) {
+  const feed = await getFeed(context.site);
+  return new Response(renderJsonFeed(feed), {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  });
+}
@@ -0,0 +1,8 @@
+import { getFeed, renderRss } from '../utils/feeds.js';
+
+export async function GET(context) {
+  const feed = await getFeed(context.site);
+  return new Response(renderRss(feed), {
+    headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' },
+  });
+}
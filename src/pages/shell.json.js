@@ -0,0 +1,9 @@
+import { getShellData } from '../data/shell.js';
+
+// The shell overlay's projects, posts and search indexes, fetched the first
+// time it opens rather than serialized into every page
+export async function GET() {
+  return new Response(JSON.stringify(await getShellData()), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
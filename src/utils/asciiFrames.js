@@ -0,0 +1,208 @@
+// ASCII animation frames for AsciiHeroAnimation, authored as standalone
+// .asc files (src/data/frames/<panel>/*.asc, in file-name order):
+//
+//   ---
+//   # Frame 3: signal appears
+//   width: 37
+//   state: OPTIMAL
+//   stability: 78
+//   signal: true
+//   hold: 2
+//   ---
+//    NETWORK STATE       PHENOTYPE SPACE
+//   ┌─────────────┐    ┌────────────────┐
+//   ...
+//
+// Front-matter lines are `key: value`; values are read as JSON when they
+// parse (numbers, booleans, arrays, quoted strings) and as plain text
+// otherwise. `#` lines are comments. `width` is the art's width in columns
+// and is required. `hold` is how many animation ticks the frame stays up
+// (default 1). Everything after the closing `---` is the art, with short lines
+// padded out to `width` with trailing spaces.
+//
+// Frames are checked when the panel loads, which is at build time for the
+// hero: every frame of a panel declares the same width and has the same number
+// of lines, every line is exactly that wide, and every box drawn with ┌ ┐ └ ┘
+// is closed with straight walls. All problems are reported at once, each with
+// its file and line. Widths are in terminal columns: emoji such as ⚡ take two,
+// everything else one.
+
+export class AsciiFrameError extends Error {
+  constructor(message, file, line = null, column = null) {
+    const where = [file, line && `line ${line}`, column && `column ${column}`].filter(Boolean).join(', ');
+    super(`${where}: ${message}`);
+    this.name = 'AsciiFrameError';
+  }
+}
+
+const FENCE = '---';
+const LEFT_WALL = new Set('│├┼║╟╠');
+const RIGHT_WALL = new Set('│┤┼║╢╣');
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// One .asc file -> { file, art, hold, artLine, ...front matter }. `artLine`
+// is the file line the art starts on, for error messages
+export function parseFrame(source, file) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  if (lines[0].trim() !== FENCE) {
+    throw new AsciiFrameError(`Frame must start with a "${FENCE}" front-matter header`, file, 1);
+  }
+  const close = lines.indexOf(FENCE, 1);
+  if (close === -1) {
+    throw new AsciiFrameError(`Front matter is never closed with "${FENCE}"`, file, 1);
+  }
+
+  const meta = {};
+  lines.slice(1, close).forEach((line, i) => {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return;
+    const match = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/.exec(text);
+    if (!match) throw new AsciiFrameError(`Expected "key: value" but found "${text}"`, file, i + 2);
+    meta[match[1]] = parseValue(match[2]);
+  });
+
+  if (!Number.isInteger(meta.width) || meta.width < 1) {
+    throw new AsciiFrameError('Front matter needs `width`, the art\'s width in columns', file);
+  }
+
+  const hold = meta.hold ?? 1;
+  if (!Number.isInteger(hold) || hold < 1) {
+    throw new AsciiFrameError('`hold` must be a whole number of ticks ≥ 1', file);
+  }
+
+  // Drop trailing blank lines; trailing spaces are part of the width
+  const art = lines.slice(close + 1);
+  while (art.length > 0 && art[art.length - 1].trim() === '') art.pop();
+  if (art.length === 0) throw new AsciiFrameError('Frame has no art', file);
+
+  return { ...meta, file, hold, artLine: close + 2, art: art.join('\n') };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const WIDE = /\p{Emoji_Presentation}/u;
+
+// A line as one cell per column; wide glyphs fill their second cell with ''
+const columns = (line) => Array.from(line).flatMap(char => (WIDE.test(char) ? [char, ''] : [char]));
+
+const artRows = (frame) => frame.art.split('\n').map(columns);
+
+// Every box opened with ┌ must have its ┐ on the same row, walls straight
+// down both sides and └ ┘ in the same columns at the bottom
+function checkBoxes(frame) {
+  const rows = artRows(frame);
+  const fail = (message, row, column) =>
+    new AsciiFrameError(message, frame.file, frame.artLine + row, column + 1);
+
+  rows.forEach((cells, top) => {
+    cells.forEach((cell, left) => {
+      if (cell !== '┌') return;
+      const right = cells.indexOf('┐', left + 1);
+      if (right === -1) throw fail('Box has no ┐ on its top row', top, left);
+
+      for (let row = top + 1; ; row++) {
+        if (row >= rows.length) {
+          throw fail(`Box opened at line ${frame.artLine + top}, column ${left + 1} is never closed with └`, top, left);
+        }
+        const atLeft = rows[row][left];
+        const atRight = rows[row][right];
+        if (atLeft === '└') {
+          if (atRight !== '┘') {
+            throw fail(`Box bottom needs ┘ at column ${right + 1} to match its ┐ (found "${atRight ?? 'end of line'}")`, row, right);
+          }
+          return;
+        }
+        if (!LEFT_WALL.has(atLeft)) {
+          throw fail(`Left wall of the box opened at line ${frame.artLine + top} is broken (found "${atLeft ?? 'end of line'}")`, row, left);
+        }
+        if (!RIGHT_WALL.has(atRight)) {
+          // The wall character nearest to where the wall should be
+          const shifted = rows[row].reduce((nearest, char, i) => (
+            i > left && i !== right && RIGHT_WALL.has(char)
+              && (nearest === -1 || Math.abs(i - right) < Math.abs(nearest - right)) ? i : nearest
+          ), -1);
+          throw fail(
+            `Right wall of the box opened at line ${frame.artLine + top} should be at column ${right + 1}`
+              + (shifted !== -1 ? ` but is at column ${shifted + 1}` : ` (found "${atRight ?? 'end of line'}")`),
+            row,
+            right
+          );
+        }
+      }
+    });
+  });
+}
+
+// Same declared width and line count across a panel's frames, every line
+// exactly that wide, boxes closed. Throws one error listing every problem
+export function validateFrames(frames, panel) {
+  if (frames.length === 0) throw new AsciiFrameError('Panel has no frames', panel);
+
+  const [first] = frames;
+  const height = artRows(first).length;
+  const problems = [];
+
+  frames.forEach(frame => {
+    if (frame.width !== first.width) {
+      problems.push(new AsciiFrameError(`Frame declares width ${frame.width} but ${first.file} declares ${first.width}`, frame.file));
+    }
+    const rows = artRows(frame);
+    if (rows.length !== height) {
+      problems.push(new AsciiFrameError(`Frame has ${rows.length} lines but ${first.file} has ${height}`, frame.file, frame.artLine));
+    }
+    rows.forEach((cells, row) => {
+      if (cells.length !== frame.width) {
+        const fix = cells.length < frame.width ? 'pad it with trailing spaces' : 'trim it';
+        problems.push(new AsciiFrameError(
+          `Line is ${cells.length} columns wide but the frame's width is ${frame.width} - ${fix}`,
+          frame.file,
+          frame.artLine + row
+        ));
+      }
+    });
+    try {
+      checkBoxes(frame);
+    } catch (err) {
+      if (!(err instanceof AsciiFrameError)) throw err;
+      problems.push(err);
+    }
+  });
+
+  if (problems.length === 1) throw problems[0];
+  if (problems.length > 1) {
+    throw new AsciiFrameError(`${problems.length} problems:\n${problems.map(problem => `  ${problem.message}`).join('\n')}`, panel);
+  }
+  return frames;
+}
+
+// Parse, check and order a panel's frame files ({ path: source }), making
+// sure each frame's front matter has the panel's `required` keys
+export function loadPanelFrames(panel, files, { required = [] } = {}) {
+  const frames = Object.keys(files)
+    .sort()
+    .map(path => {
+      const frame = parseFrame(files[path], path);
+      const missing = required.filter(key => !(key in frame));
+      if (missing.length > 0) {
+        throw new AsciiFrameError(`Front matter is missing ${missing.join(', ')}`, path);
+      }
+      return frame;
+    });
+  return validateFrames(frames, panel);
+}
+
+// One entry per animation tick: each frame repeated `hold` times
+export const frameTimeline = (frames) => frames.flatMap(frame => Array(frame.hold).fill(frame));
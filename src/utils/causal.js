@@ -0,0 +1,208 @@
+// Structural causal model (SCM) behind CausalNetworkVisualization
+//
+// Edges are { from, to, coef, feedback? }. Every node has a structural equation
+//   value = f(intercept + Σ coef · parent + noise),  noise ~ N(0, sd²)
+// with f the identity ('linear') or the logistic function ('logistic').
+//
+// Feedback edges close loops over time: they read the parent's value from the
+// previous step, so each step is evaluated in topological order of the
+// remaining (acyclic) edges.
+import { createRng, gaussian } from './random.js';
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+// Kahn's algorithm over the non-feedback edges; throws on a cycle
+export function topologicalOrder(nodeIds, edges) {
+  const inDegree = Object.fromEntries(nodeIds.map(id => [id, 0]));
+  const acyclic = edges.filter(edge => !edge.feedback);
+  acyclic.forEach(edge => { inDegree[edge.to] += 1; });
+
+  const queue = nodeIds.filter(id => inDegree[id] === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    acyclic.forEach(edge => {
+      if (edge.from !== id) return;
+      inDegree[edge.to] -= 1;
+      if (inDegree[edge.to] === 0) queue.push(edge.to);
+    });
+  }
+
+  if (order.length !== nodeIds.length) {
+    const stuck = nodeIds.filter(id => !order.includes(id));
+    throw new Error(`Causal graph has a cycle through ${stuck.join(', ')} - mark one of its edges as feedback`);
+  }
+  return order;
+}
+
+// Bundle the graph with its evaluation order and incoming edges per node
+export function createModel(nodeIds, edges, equations) {
+  const incoming = Object.fromEntries(nodeIds.map(id => [id, []]));
+  edges.forEach(edge => incoming[edge.to].push(edge));
+  return { nodeIds, edges, equations, incoming, order: topologicalOrder(nodeIds, edges) };
+}
+
+// Model for a normalized graph from utils/causalGraph.js
+export function modelFromGraph(graph) {
+  return createModel(
+    graph.nodes.map(node => node.id),
+    graph.edges,
+    Object.fromEntries(graph.nodes.map(node => [node.id, node.equation]))
+  );
+}
+
+// One structural equation. `parentValue(edge)` supplies each parent's value.
+function structuralValue(model, id, parentValue, noise = 0) {
+  const { type, intercept } = model.equations[id];
+  const input = model.incoming[id].reduce(
+    (sum, edge) => sum + edge.coef * parentValue(edge),
+    intercept + noise
+  );
+  return type === 'logistic' ? logistic(input) : input;
+}
+
+// Evaluate one time step. `previous` holds last step's values (read through
+// feedback edges); `interventions` maps node -> fixed value, do(node = value).
+export function evaluateStep(model, previous, interventions = {}, noise = {}) {
+  const values = {};
+  model.order.forEach(id => {
+    values[id] = id in interventions
+      ? interventions[id]
+      : structuralValue(model, id, edge => (edge.feedback ? previous : values)[edge.from], noise[id]);
+  });
+  return values;
+}
+
+// Run `steps` steps from `start`; `noise[t]` is the noise for step t
+export function simulate(model, { start, steps = 1, interventions = {}, noise = [] }) {
+  const trajectory = [];
+  let previous = start;
+  for (let t = 0; t < steps; t++) {
+    previous = evaluateStep(model, previous, interventions, noise[t]);
+    trajectory.push(previous);
+  }
+  return trajectory;
+}
+
+// Equilibrium: iterate until the feedback loops settle. Noise-free unless a
+// unit's `noise` is given.
+export function steadyState(model, interventions = {}, { maxSteps = 200, tolerance = 1e-9, noise = {} } = {}) {
+  let values = Object.fromEntries(model.nodeIds.map(id => [id, 0]));
+  for (let t = 0; t < maxSteps; t++) {
+    const next = evaluateStep(model, values, interventions, noise);
+    const change = Math.max(...model.nodeIds.map(id => Math.abs(next[id] - values[id])));
+    values = next;
+    if (change < tolerance) break;
+  }
+  return values;
+}
+
+// Numeric effects of do(source = baseline ± delta), by Monte Carlo with common
+// random numbers (the factual and intervened worlds share each noise draw).
+//
+// Starting from the steady state, the intervention is held for `steps` steps;
+// step 0 is the immediate effect, later steps add what the feedback edges carry
+// back. For each step and node:
+//   total        - E[Y | do(X = x + δ)] - E[Y | do(X = x)]
+//   direct       - natural direct effect: X shifted in Y's own equation only,
+//                  every other parent at its do(X = x) value (0 unless X → Y)
+//   standardized - total / the node's observational standard deviation
+//
+// Returns { baseline, steps: [Map nodeId -> { total, direct, standardized }] }.
+export function interventionEffects(model, source, direction = 1, {
+  delta = 1,
+  steps = 4,
+  samples = 200,
+  seed = 1,
+} = {}) {
+  const rng = createRng(seed);
+  const baseline = steadyState(model);
+  const x0 = baseline[source];
+  const x1 = x0 + direction * delta;
+  const children = model.edges.filter(edge => edge.from === source && !edge.feedback).map(edge => edge.to);
+
+  const zeros = () => Object.fromEntries(model.nodeIds.map(id => [id, 0]));
+  const totals = Array.from({ length: steps }, zeros);
+  const directs = Array.from({ length: steps }, zeros);
+  const sum = zeros();
+  const sumSquares = zeros();
+
+  for (let s = 0; s < samples; s++) {
+    // Exogenous noise belongs to the unit, so it is held across steps: any
+    // change between steps comes from the feedback loops, not a fresh draw
+    const unitNoise = Object.fromEntries(model.nodeIds.map(id => [id, gaussian(rng) * model.equations[id].noise]));
+    const noise = Array(steps).fill(unitNoise);
+
+    const observed = evaluateStep(model, baseline, {}, noise[0]);
+    const factual = simulate(model, { start: baseline, steps, interventions: { [source]: x0 }, noise });
+    const treated = simulate(model, { start: baseline, steps, interventions: { [source]: x1 }, noise });
+
+    model.nodeIds.forEach(id => {
+      sum[id] += observed[id];
+      sumSquares[id] += observed[id] ** 2;
+    });
+
+    for (let t = 0; t < steps; t++) {
+      const previous = t === 0 ? baseline : factual[t - 1];
+      model.nodeIds.forEach(id => {
+        totals[t][id] += treated[t][id] - factual[t][id];
+      });
+      children.forEach(id => {
+        const shifted = structuralValue(model, id, edge =>
+          edge.from === source ? x1 : (edge.feedback ? previous : factual[t])[edge.from],
+          noise[t][id]
+        );
+        directs[t][id] += shifted - factual[t][id];
+      });
+    }
+  }
+
+  const sd = Object.fromEntries(model.nodeIds.map(id => {
+    const mean = sum[id] / samples;
+    return [id, Math.sqrt(Math.max(sumSquares[id] / samples - mean ** 2, 1e-12))];
+  }));
+
+  return {
+    baseline,
+    steps: totals.map((total, t) => new Map(model.nodeIds.map(id => {
+      const effect = total[id] / samples;
+      return [id, { total: effect, direct: directs[t][id] / samples, standardized: effect / sd[id] }];
+    }))),
+  };
+}
+
+// Counterfactual "what if" for a population of units, in Pearl's three steps:
+//   abduction  - each unit's exogenous noise (drawn; it is what makes the
+//                unit itself, so both worlds share it)
+//   action     - shift each node in `shifts` by that amount from the unit's
+//                factual value, do(X = x_factual + δ)
+//   prediction - the unit's steady state with its own noise
+// Returns the mean of every node in the factual and counterfactual worlds.
+export function counterfactualMeans(model, shifts, { samples = 100, seed = 1 } = {}) {
+  const rng = createRng(seed);
+  const factual = Object.fromEntries(model.nodeIds.map(id => [id, 0]));
+  const counterfactual = { ...factual };
+  const shifted = Object.keys(shifts).filter(id => shifts[id] !== 0);
+
+  for (let s = 0; s < samples; s++) {
+    const noise = Object.fromEntries(model.nodeIds.map(id => [id, gaussian(rng) * model.equations[id].noise]));
+    const world = steadyState(model, {}, { noise });
+    const altered = shifted.length === 0 ? world : steadyState(
+      model,
+      Object.fromEntries(shifted.map(id => [id, world[id] + shifts[id]])),
+      { noise }
+    );
+    model.nodeIds.forEach(id => {
+      factual[id] += world[id] / samples;
+      counterfactual[id] += altered[id] / samples;
+    });
+  }
+  return { factual, counterfactual };
+}
+
+// Arrow for a signed effect: ↑, ↓ or ± (no net change)
+export const effectArrow = (effect) => (effect > 0 ? '↑' : effect < 0 ? '↓' : '±');
+
+// do() notation, e.g. do(PRICE↓)
+export const doLabel = (nodeId, direction) => `do(${nodeId}${effectArrow(direction)})`;
@@ -0,0 +1,223 @@
+// Export the causal diagram for slides and other tools: a standalone SVG, a
+// PNG rendered from it, Graphviz DOT and JSON. DOT and JSON both parse back
+// with parseGraph (utils/causalGraph.js); the view state rides along as extra
+// attributes the parser ignores.
+//
+// View state (from CausalNetworkVisualization):
+//   { caption, activated: Set, effects: Map id -> { total, direct, standardized },
+//     treatment?, outcome?, conditioned?: Set }
+
+const TYPE_COLORS = {
+  lever: '#ffaa00',
+  outcome: '#00ff88',
+  mediator: '#00d4ff',
+  exogenous: '#888888',
+  latent: '#666666',
+};
+const EDGE_COLORS = { positive: '#ffaa00', negative: '#ff7b6b' };
+
+// Text styles set by global.css that an SVG outside the page would lose
+const TEXT_STYLES = ['font-family', 'font-size', 'font-weight', 'letter-spacing'];
+
+const CAPTION_HEIGHT = 14;
+
+// ============================================================================
+// DOT / JSON
+// ============================================================================
+
+const dotId = (id) => (/^[A-Za-z_][\w.]*$/.test(id) ? id : JSON.stringify(id));
+
+const dotValue = (value) => (typeof value === 'number' || typeof value === 'boolean' ? String(value) : JSON.stringify(value));
+
+const dotAttributes = (attributes) => {
+  const list = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${dotValue(value)}`);
+  return list.length > 0 ? ` [${list.join(', ')}]` : '';
+};
+
+const signed = (value, digits) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+// Per-node fields shared by DOT and JSON: the adjust-mode query becomes
+// dagitty-style exposure / outcome / adjusted flags
+function nodeExport(node, state) {
+  return {
+    roles: {
+      exposure: node.id === state.treatment || undefined,
+      outcome: node.id === state.outcome || undefined,
+      adjusted: state.conditioned?.has(node.id) || undefined,
+    },
+    activated: state.activated.has(node.id),
+    effect: (state.activated.has(node.id) && state.effects.get(node.id)) || null,
+  };
+}
+
+// Graphviz DOT with the diagram's colors; activated nodes are filled, effects
+// shown as external labels, the do() caption as the graph label
+export function graphToDot(nodes, edges, state) {
+  const lines = [
+    'digraph causal {',
+    state.caption ? `  label=${dotValue(state.caption)};` : null,
+    '  labelloc=t;',
+    '  fontname="JetBrains Mono";',
+    '  node [shape=box, style=rounded, fontname="JetBrains Mono", fontsize=10];',
+    '  edge [fontname="JetBrains Mono", fontsize=8];',
+    '',
+  ].filter(line => line !== null);
+
+  Object.values(nodes).forEach(node => {
+    const { roles, activated, effect } = nodeExport(node, state);
+    const color = TYPE_COLORS[node.type];
+    lines.push(`  ${dotId(node.id)}${dotAttributes({
+      label: node.label,
+      type: node.type,
+      tier: node.tier,
+      equation: node.equation.type,
+      intercept: node.equation.intercept,
+      noise: node.equation.noise,
+      ...roles,
+      color,
+      style: node.type === 'latent' ? 'rounded,dashed' : activated ? 'rounded,filled' : 'rounded',
+      fillcolor: activated ? `${color}33` : undefined,
+      penwidth: roles.adjusted ? 2 : undefined,
+      xlabel: effect ? `${signed(effect.standardized, 2)} sd` : undefined,
+    })};`);
+  });
+  lines.push('');
+
+  edges.forEach(edge => {
+    const active = state.activated.has(edge.from) && state.activated.has(edge.to);
+    lines.push(`  ${dotId(edge.from)} -> ${dotId(edge.to)}${dotAttributes({
+      coef: edge.coef,
+      label: signed(edge.coef, 1),
+      color: edge.coef < 0 ? EDGE_COLORS.negative : EDGE_COLORS.positive,
+      penwidth: active ? 2 : undefined,
+      feedback: edge.feedback || undefined,
+      constraint: edge.feedback ? false : undefined,
+      style: edge.feedback ? 'dashed' : undefined,
+      side: edge.side,
+    })};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+// parseGraph's JSON shape, plus a `state` block with the caption, activated
+// nodes and their effects
+export function graphToJson(nodes, edges, state) {
+  const exported = Object.values(nodes).map(node => ({ node, ...nodeExport(node, state) }));
+  const data = {
+    nodes: exported.map(({ node, roles }) => ({
+      id: node.id,
+      label: node.label,
+      type: node.type,
+      tier: node.tier,
+      equation: { ...node.equation },
+      ...roles,
+    })),
+    edges: edges.map(({ from, to, coef, feedback, side }) => ({ from, to, coef, feedback, ...(side ? { side } : {}) })),
+    state: {
+      caption: state.caption || null,
+      activated: exported.filter(item => item.activated).map(item => item.node.id),
+      effects: Object.fromEntries(exported.filter(item => item.effect).map(item => [item.node.id, item.effect])),
+    },
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+// ============================================================================
+// SVG / PNG (browser only)
+// ============================================================================
+
+// Standalone copy of the rendered diagram. The glow filters and arrowhead
+// markers travel in its <defs>; CSS text styles are inlined, animations are
+// frozen at their current frame and the caption is drawn above the graph.
+export function serializeSvg(svg, { caption, background } = {}) {
+  const clone = svg.cloneNode(true);
+  const live = [svg, ...svg.querySelectorAll('*')];
+  const copies = [clone, ...clone.querySelectorAll('*')];
+
+  live.forEach((element, i) => {
+    const copy = copies[i];
+    const computed = getComputedStyle(element);
+    copy.style.removeProperty('animation');
+    copy.style.removeProperty('transition');
+    if (computed.animationName !== 'none') {
+      copy.setAttribute('stroke-opacity', computed.strokeOpacity);
+    }
+    if (element.tagName === 'text') {
+      TEXT_STYLES.forEach(property => copy.style.setProperty(property, computed.getPropertyValue(property)));
+      if (computed.textTransform === 'uppercase') {
+        copy.childNodes.forEach(child => {
+          if (child.nodeType === Node.TEXT_NODE) child.textContent = child.textContent.toUpperCase();
+        });
+      }
+    }
+  });
+
+  // Make room for the caption above the graph
+  const [x, y, width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+  const top = caption ? y - CAPTION_HEIGHT : y;
+  const fullHeight = caption ? height + CAPTION_HEIGHT : height;
+  clone.setAttribute('viewBox', `${x} ${top} ${width} ${fullHeight}`);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', fullHeight);
+  clone.removeAttribute('class');
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  if (background) {
+    const rect = document.createElementNS(svgNs, 'rect');
+    Object.entries({ x, y: top, width, height: fullHeight, fill: background })
+      .forEach(([key, value]) => rect.setAttribute(key, value));
+    clone.insertBefore(rect, clone.querySelector('defs')?.nextSibling || clone.firstChild);
+  }
+  if (caption) {
+    const text = document.createElementNS(svgNs, 'text');
+    Object.entries({ x: x + 4, y: top + 10, fill: '#ffaa00', 'font-size': 8, 'font-weight': 600, 'font-family': "'JetBrains Mono', monospace" })
+      .forEach(([key, value]) => text.setAttribute(key, value));
+    text.textContent = caption;
+    clone.appendChild(text);
+  }
+
+  return {
+    text: `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`,
+    width,
+    height: fullHeight,
+  };
+}
+
+// Render serialized SVG to a PNG `pixelWidth` wide
+export function svgToPng({ text, width, height }, pixelWidth) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      const scale = pixelWidth / width;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the SVG'));
+    };
+    image.src = url;
+  });
+}
+
+// Save a Blob under `filename`
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,510 @@
+// Causal graphs as data - parse JSON, a DOT subset or dagitty syntax into one
+// normalized shape, then lay it out in tiers for CausalNetworkVisualization.
+//
+// Normalized graph:
+//   nodes: [{ id, label, type, tier?, role?, adjusted?, equation }]
+//   edges: [{ from, to, coef, feedback, side? }]
+//
+// type is 'exogenous' | 'lever' | 'mediator' | 'outcome' | 'latent' (inferred
+// from the edges when not given); equation is the node's structural equation
+// for utils/causal.js. Edges that close a cycle are marked as feedback.
+import { topologicalOrder } from './causal.js';
+
+export class GraphParseError extends Error {
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'GraphParseError';
+  }
+}
+
+const NODE_TYPES = ['exogenous', 'lever', 'mediator', 'outcome', 'latent'];
+const DEFAULT_EQUATION = { type: 'linear', intercept: 0, noise: 1 };
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Tokens for DOT and dagitty: arrows, punctuation, quoted strings, numbers, ids
+const TOKEN_PATTERN = /<->|->|<-|--|[{}[\]=,;]|"(?:[^"\\]|\\.)*"|-?\d*\.?\d+(?:e-?\d+)?|[A-Za-z_][\w.]*/gy;
+
+function tokenize(source) {
+  const text = source
+    .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, ' '))
+    .replace(/(^|[^:])\/\/.*$/gm, '$1')
+    .replace(/^\s*#.*$/gm, '');
+
+  const tokens = [];
+  let line = 1;
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      if (char === '\n') line += 1;
+      index += 1;
+      continue;
+    }
+    TOKEN_PATTERN.lastIndex = index;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new GraphParseError(`Unexpected character "${char}"`, line);
+
+    const value = match[0];
+    tokens.push({
+      value: value.startsWith('"') ? JSON.parse(value) : value,
+      quoted: value.startsWith('"'),
+      line,
+    });
+    index = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+// Attribute values arrive as strings; read numbers and booleans
+function readValue(value) {
+  if (value === true || value === 'true') return true;
+  if (value === 'false') return false;
+  const number = Number(value);
+  return value !== '' && Number.isFinite(number) ? number : value;
+}
+
+// Statements shared by the DOT subset and dagitty:
+//   A [attrs]            node
+//   A -> B -> C [attrs]  edge chain (dagitty also A <- B, A <-> B)
+//   key = value          graph attribute (ignored)
+//   graph|node|edge [..] default attributes (ignored)
+function parseBody(tokens, dialect) {
+  const nodes = new Map();
+  const edges = [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new GraphParseError(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of input'}`, token?.line);
+    }
+    return token;
+  };
+  const isId = (token) => token && (token.quoted || /^[\w.-]+$/.test(token.value)) && !['->', '<-', '<->', '--'].includes(token.value);
+
+  const readId = () => {
+    const token = next();
+    if (!isId(token)) {
+      throw new GraphParseError(`Expected a node name but found ${token ? `"${token.value}"` : 'end of input'}`, token?.line);
+    }
+    return token.value;
+  };
+
+  // [a=1, b="x", flag] - dagitty allows bare flags like [exposure]
+  const readAttributes = () => {
+    const attributes = {};
+    if (peek()?.value !== '[') return attributes;
+    next();
+    while (peek() && peek().value !== ']') {
+      const key = readId();
+      if (peek()?.value === '=') {
+        next();
+        attributes[key] = readValue(next()?.value);
+      } else {
+        attributes[key] = true;
+      }
+      if ([',', ';'].includes(peek()?.value)) next();
+    }
+    expect(']');
+    return attributes;
+  };
+
+  const touchNode = (id, attributes = {}) => {
+    nodes.set(id, { ...nodes.get(id), ...attributes, id });
+  };
+
+  // Header: [strict] digraph [name] {   |   dag [name] {   (keyword checked by parseGraph)
+  if (peek()?.value === 'strict') next();
+  next();
+  if (peek() && peek().value !== '{') next(); // graph name
+  expect('{');
+
+  while (peek() && peek().value !== '}') {
+    if ([';', ','].includes(peek().value)) {
+      next();
+      continue;
+    }
+
+    const token = peek();
+    if (['graph', 'node', 'edge'].includes(token.value) && tokens[position + 1]?.value === '[') {
+      next();
+      readAttributes();
+      continue;
+    }
+
+    const first = readId();
+    if (peek()?.value === '=') {
+      next();
+      next(); // graph attribute value
+      continue;
+    }
+
+    // Chain of ids joined by arrows
+    const chain = [first];
+    const arrows = [];
+    while (['->', '<-', '<->', '--'].includes(peek()?.value)) {
+      const arrow = next();
+      if (arrow.value === '--') {
+        throw new GraphParseError('Undirected edges ("--") are not causal; use "->"', arrow.line);
+      }
+      if (dialect === 'dot' && arrow.value !== '->') {
+        throw new GraphParseError(`"${arrow.value}" is dagitty syntax; DOT edges use "->"`, arrow.line);
+      }
+      arrows.push(arrow.value);
+      chain.push(readId());
+    }
+    const attributes = readAttributes();
+
+    if (arrows.length === 0) {
+      touchNode(first, attributes);
+      continue;
+    }
+
+    chain.forEach(id => touchNode(id));
+    arrows.forEach((arrow, i) => {
+      const [a, b] = [chain[i], chain[i + 1]];
+      if (arrow === '->') edges.push({ ...attributes, from: a, to: b });
+      if (arrow === '<-') edges.push({ ...attributes, from: b, to: a });
+      if (arrow === '<->') {
+        // Bidirected edge = unobserved common cause
+        const latent = `U_${a}_${b}`;
+        touchNode(latent, { type: 'latent', label: 'U' });
+        edges.push({ ...attributes, from: latent, to: a }, { ...attributes, from: latent, to: b });
+      }
+    });
+  }
+  expect('}');
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+// Node attributes from any format -> normalized fields
+function normalizeNode(raw) {
+  const node = { id: String(raw.id), label: raw.label ? String(raw.label) : String(raw.id).slice(0, 7) };
+
+  const type = raw.type ?? (raw.latent ? 'latent' : raw.exposure ? 'lever' : undefined);
+  if (type !== undefined) {
+    if (!NODE_TYPES.includes(type)) {
+      throw new GraphParseError(`Node ${node.id}: unknown type "${type}" (use ${NODE_TYPES.join(', ')})`);
+    }
+    node.type = type;
+  }
+
+  const tier = raw.tier ?? raw.rank;
+  if (tier !== undefined) {
+    if (!Number.isInteger(tier) || tier < 0) throw new GraphParseError(`Node ${node.id}: tier must be a whole number ≥ 0`);
+    node.tier = tier;
+  }
+
+  if (raw.exposure) node.role = 'exposure';
+  if (raw.outcome) node.role = 'outcome';
+  if (raw.adjusted) node.adjusted = true;
+
+  const equation = { ...DEFAULT_EQUATION, ...(typeof raw.equation === 'object' ? raw.equation : {}) };
+  if (typeof raw.equation === 'string') equation.type = raw.equation;
+  if (raw.intercept !== undefined) equation.intercept = raw.intercept;
+  if (raw.noise !== undefined) equation.noise = raw.noise;
+  if (!['linear', 'logistic'].includes(equation.type)) {
+    throw new GraphParseError(`Node ${node.id}: equation must be "linear" or "logistic"`);
+  }
+  node.equation = equation;
+
+  return node;
+}
+
+// Edge attributes from any format -> normalized fields
+function normalizeEdge(raw) {
+  const coef = raw.coef ?? raw.beta ?? raw.weight ?? (raw.positive === false ? -1 : 1);
+  if (typeof coef !== 'number' || !Number.isFinite(coef)) {
+    throw new GraphParseError(`Edge ${raw.from} -> ${raw.to}: coefficient must be a number`);
+  }
+
+  const edge = {
+    from: String(raw.from),
+    to: String(raw.to),
+    coef,
+    // DOT's constraint=false is the usual way to mark a back edge
+    feedback: raw.feedback === true || raw.constraint === false,
+  };
+  if (raw.side === 'left' || raw.side === 'right') edge.side = raw.side;
+  return edge;
+}
+
+// Mark edges that close a cycle as feedback (DFS back edges, in input order)
+function markFeedbackEdges(nodeIds, edges) {
+  const state = new Map(); // id -> 'active' | 'done'
+  const visit = (id) => {
+    state.set(id, 'active');
+    edges.forEach(edge => {
+      if (edge.from !== id || edge.feedback) return;
+      if (state.get(edge.to) === 'active') edge.feedback = true;
+      else if (!state.has(edge.to)) visit(edge.to);
+    });
+    state.set(id, 'done');
+  };
+  nodeIds.forEach(id => { if (!state.has(id)) visit(id); });
+}
+
+// Fill in node types the source left out, from the acyclic edges
+function inferTypes(nodes, edges) {
+  const acyclic = edges.filter(edge => !edge.feedback);
+  nodes.forEach(node => {
+    if (node.type) return;
+    const hasParents = acyclic.some(edge => edge.to === node.id);
+    const hasChildren = acyclic.some(edge => edge.from === node.id);
+    node.type = !hasParents ? 'exogenous' : !hasChildren ? 'outcome' : 'mediator';
+  });
+}
+
+function normalize(rawNodes, rawEdges) {
+  const nodes = rawNodes.map(normalizeNode);
+  const ids = new Set(nodes.map(node => node.id));
+  const edges = rawEdges.map(normalizeEdge);
+
+  // Nodes that only appear in edges
+  edges.forEach(edge => {
+    [edge.from, edge.to].forEach(id => {
+      if (!ids.has(id)) {
+        ids.add(id);
+        nodes.push(normalizeNode({ id }));
+      }
+    });
+  });
+  if (nodes.length === 0) throw new GraphParseError('Graph has no nodes');
+
+  markFeedbackEdges(nodes.map(node => node.id), edges);
+  inferTypes(nodes, edges);
+  return { nodes, edges };
+}
+
+// JSON: { nodes: [{ id, ... }] or { ID: { ... } }, edges: [{ from, to, ... }] }
+function parseJsonGraph(value) {
+  let data = value;
+  if (typeof value === 'string') {
+    try {
+      data = JSON.parse(value);
+    } catch (err) {
+      throw new GraphParseError(`Invalid JSON graph: ${err.message}`);
+    }
+  }
+  const rawNodes = Array.isArray(data.nodes)
+    ? data.nodes
+    : Object.entries(data.nodes || {}).map(([id, node]) => ({ ...node, id: node.id ?? id }));
+  return normalize(rawNodes, data.edges || []);
+}
+
+// Detect the format and parse: a JSON object or string, "digraph { ... }" (DOT)
+// or "dag { ... }" (dagitty). Throws GraphParseError with the line on bad input.
+export function parseGraph(source) {
+  if (typeof source === 'object' && source !== null) return parseJsonGraph(source);
+  if (typeof source !== 'string') throw new GraphParseError('Graph must be an object or a string');
+
+  const text = source.trim();
+  if (text.startsWith('{')) return parseJsonGraph(text);
+
+  const tokens = tokenize(text);
+  const keyword = tokens[0]?.value === 'strict' ? tokens[1]?.value : tokens[0]?.value;
+  if (keyword === 'digraph') {
+    const { nodes, edges } = parseBody(tokens, 'dot');
+    return normalize(nodes, edges);
+  }
+  if (keyword === 'dag') {
+    const { nodes, edges } = parseBody(tokens, 'dagitty');
+    return normalize(nodes, edges);
+  }
+  throw new GraphParseError('Unrecognized graph format: expected JSON, "digraph { ... }" or "dag { ... }"');
+}
+
+// ============================================================================
+// LAYERED LAYOUT (Sugiyama-style)
+// ============================================================================
+// 1. tiers: explicit `tier`, else longest path from the roots
+// 2. long edges get dummy points in every tier they cross
+// 3. barycenter sweeps reorder each tier to reduce crossings
+// 4. tiers are spread across the width (dummies take less room)
+// 5. feedback edges are routed around the nearest side in their own lanes
+
+const NODE_HALF_WIDTH = 26;
+const NODE_HALF_HEIGHT = 10;
+const DUMMY_WEIGHT = 0.35;
+const LANE_GAP = 8;
+const SWEEPS = 4;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Smooth path through points with vertical tangents (top-to-bottom edges)
+function smoothPath(points) {
+  const [start, ...rest] = points;
+  let d = `M ${round(start.x)} ${round(start.y)}`;
+  if (rest.length === 1) {
+    // Gentle curve for a single-tier edge
+    const end = rest[0];
+    const dx = end.x - start.x;
+    const control = { x: start.x + dx * 0.5, y: (start.y + end.y) / 2 + Math.abs(dx) * 0.15 };
+    return `${d} Q ${round(control.x)} ${round(control.y)} ${round(end.x)} ${round(end.y)}`;
+  }
+  let previous = start;
+  rest.forEach(point => {
+    const midY = (previous.y + point.y) / 2;
+    d += ` C ${round(previous.x)} ${round(midY)}, ${round(point.x)} ${round(midY)}, ${round(point.x)} ${round(point.y)}`;
+    previous = point;
+  });
+  return d;
+}
+
+const polylineLength = (points) =>
+  points.slice(1).reduce((sum, point, i) => sum + Math.hypot(point.x - points[i].x, point.y - points[i].y), 0);
+
+export function layoutGraph(graph, { width = 340, top = 15, tierGap = 52, sideMargin = 15 } = {}) {
+  const ids = graph.nodes.map(node => node.id);
+  const byId = Object.fromEntries(graph.nodes.map(node => [node.id, node]));
+  const acyclic = graph.edges.filter(edge => !edge.feedback);
+
+  // 1. Tiers
+  const tierOf = {};
+  topologicalOrder(ids, graph.edges).forEach(id => {
+    const parentTiers = acyclic.filter(edge => edge.to === id).map(edge => tierOf[edge.from] + 1);
+    tierOf[id] = byId[id].tier ?? Math.max(0, ...parentTiers);
+  });
+  const tierCount = Math.max(...Object.values(tierOf)) + 1;
+
+  // 2. Tiers as ordered lists of items (nodes and dummy points)
+  const layers = Array.from({ length: tierCount }, () => []);
+  ids.forEach(id => layers[tierOf[id]].push({ id, weight: 1 }));
+
+  const segments = []; // [upper item id, lower item id] between adjacent tiers
+  const routes = new Map(); // edge -> item ids it passes through
+  acyclic.forEach((edge, index) => {
+    const [fromTier, toTier] = [tierOf[edge.from], tierOf[edge.to]];
+    const chain = [edge.from];
+    for (let tier = fromTier + 1; tier < toTier; tier++) {
+      const dummy = `${index}:${tier}`;
+      layers[tier].push({ id: dummy, weight: DUMMY_WEIGHT, dummy: true });
+      chain.push(dummy);
+    }
+    chain.push(edge.to);
+    routes.set(edge, chain);
+    if (toTier > fromTier) {
+      chain.slice(1).forEach((id, i) => segments.push([chain[i], id]));
+    }
+  });
+
+  // 3. Barycenter ordering, alternating downward and upward sweeps
+  const indexOf = new Map();
+  const reindex = () => layers.forEach(layer => layer.forEach((item, i) => indexOf.set(item.id, i)));
+  reindex();
+  const sortLayer = (layer, neighborsOf) => {
+    const keyed = layer.map((item, i) => {
+      const neighbors = neighborsOf(item.id);
+      const center = neighbors.length
+        ? neighbors.reduce((sum, id) => sum + indexOf.get(id), 0) / neighbors.length
+        : i;
+      return { item, center, i };
+    });
+    keyed.sort((a, b) => a.center - b.center || a.i - b.i);
+    return keyed.map(({ item }) => item);
+  };
+  for (let sweep = 0; sweep < SWEEPS; sweep++) {
+    const down = sweep % 2 === 0;
+    const tiers = down ? [...layers.keys()].slice(1) : [...layers.keys()].reverse().slice(1);
+    tiers.forEach(tier => {
+      layers[tier] = sortLayer(layers[tier], id =>
+        down
+          ? segments.filter(([, lower]) => lower === id).map(([upper]) => upper)
+          : segments.filter(([upper]) => upper === id).map(([, lower]) => lower)
+      );
+      reindex();
+    });
+  }
+
+  // 4. Coordinates
+  const widest = Math.max(...layers.map(layer => layer.reduce((sum, item) => sum + item.weight, 0)));
+  const unit = width / widest;
+  const position = {};
+  layers.forEach((layer, tier) => {
+    const layerWidth = layer.reduce((sum, item) => sum + item.weight, 0) * unit;
+    let x = (width - layerWidth) / 2;
+    layer.forEach(item => {
+      position[item.id] = { x: x + (item.weight * unit) / 2, y: top + tier * tierGap };
+      x += item.weight * unit;
+    });
+  });
+
+  const nodes = Object.fromEntries(graph.nodes.map(node => [
+    node.id,
+    { ...node, tier: tierOf[node.id], x: round(position[node.id].x), y: round(position[node.id].y) },
+  ]));
+
+  // 5. Edge routes
+  const lanes = { left: 0, right: 0 };
+  let minX = -sideMargin - 5;
+  let maxX = width + sideMargin + 5;
+
+  const edges = graph.edges.map(edge => {
+    const from = nodes[edge.from];
+    const to = nodes[edge.to];
+
+    if (edge.feedback) {
+      const side = edge.side || ((from.x + to.x) / 2 < width / 2 ? 'left' : 'right');
+      const lane = lanes[side]++;
+      const laneX = side === 'left' ? -sideMargin - lane * LANE_GAP : width + sideMargin + lane * LANE_GAP;
+      const inset = side === 'left' ? -NODE_HALF_WIDTH + 1 : NODE_HALF_WIDTH - 1;
+      minX = Math.min(minX, laneX - 5);
+      maxX = Math.max(maxX, laneX + 5);
+      return {
+        ...edge,
+        side,
+        path: `M ${round(from.x + inset)} ${from.y} C ${laneX} ${from.y}, ${laneX} ${to.y}, ${round(to.x + inset)} ${to.y}`,
+        mid: { x: round((from.x + to.x + 2 * inset) / 8 + laneX * 0.75), y: round((from.y + to.y) / 2) },
+        length: Math.abs(from.y - to.y) + Math.abs(laneX - from.x) + Math.abs(laneX - to.x),
+      };
+    }
+
+    if (from.tier === to.tier) {
+      // Same tier: side to side, arcing over anything in between
+      const direction = Math.sign(to.x - from.x) || 1;
+      const start = { x: from.x + direction * NODE_HALF_WIDTH, y: from.y };
+      const end = { x: to.x - direction * NODE_HALF_WIDTH, y: to.y };
+      const lift = Math.abs(end.x - start.x) > NODE_HALF_WIDTH * 2 ? 14 : 0;
+      return {
+        ...edge,
+        path: `M ${start.x} ${start.y} Q ${(start.x + end.x) / 2} ${start.y - lift * 2} ${end.x} ${end.y}`,
+        mid: { x: round((start.x + end.x) / 2), y: round(start.y - lift) },
+        length: Math.abs(end.x - start.x) + lift,
+      };
+    }
+
+    // Down (or, with explicit tiers, up) through the dummy points
+    const down = to.tier > from.tier;
+    const points = [
+      { x: from.x, y: from.y + (down ? NODE_HALF_HEIGHT : -NODE_HALF_HEIGHT) },
+      ...routes.get(edge).slice(1, -1).map(id => position[id]),
+      { x: to.x, y: to.y + (down ? -NODE_HALF_HEIGHT : NODE_HALF_HEIGHT) },
+    ];
+    const middle = points.length % 2 === 1
+      ? points[(points.length - 1) / 2]
+      : {
+        x: (points[points.length / 2 - 1].x + points[points.length / 2].x) / 2,
+        y: (points[points.length / 2 - 1].y + points[points.length / 2].y) / 2,
+      };
+    return {
+      ...edge,
+      path: smoothPath(points),
+      mid: { x: round(middle.x), y: round(middle.y) },
+      length: polylineLength(points) * 1.3,
+    };
+  });
+
+  const bottom = top + (tierCount - 1) * tierGap + 30;
+  return {
+    nodes,
+    edges,
+    tiers: layers.map(layer => layer.filter(item => !item.dummy).map(item => item.id)),
+    viewBox: `${round(minX)} ${top - 25} ${round(maxX - minX)} ${bottom - top + 25}`,
+  };
+}
@@ -0,0 +1,67 @@
+// Facet filtering for accomplishments - goal, method and industry tag families
+// Families always combine with AND. Within a family, selected tags combine with
+// AND ('all': the item must carry every selected tag) or OR ('any': one is enough).
+
+export const FACET_FAMILIES = ['goals', 'methods', 'industries'];
+
+export const emptyFacets = () => ({ goals: [], methods: [], industries: [] });
+
+export const hasActiveFacets = (facets) =>
+  FACET_FAMILIES.some(family => facets[family].length > 0);
+
+// Does an item pass one family's selection?
+function matchesFamily(item, family, selected, mode) {
+  if (selected.length === 0) return true;
+  const tags = item[family] || [];
+  return mode === 'all'
+    ? selected.every(tag => tags.includes(tag))
+    : selected.some(tag => tags.includes(tag));
+}
+
+// Does an item pass every family's selection?
+export function matchesFacets(item, facets, mode = 'any') {
+  return FACET_FAMILIES.every(family => matchesFamily(item, family, facets[family], mode));
+}
+
+export function filterByFacets(items, facets, mode = 'any') {
+  return items.filter(item => matchesFacets(item, facets, mode));
+}
+
+// Add or remove a tag from one family, returning a new facets object
+export function toggleFacet(facets, family, tag) {
+  const selected = facets[family];
+  return {
+    ...facets,
+    [family]: selected.includes(tag)
+      ? selected.filter(t => t !== tag)
+      : [...selected, tag],
+  };
+}
+
+// Live pill counts: for each tag, how many items would match if that tag were
+// part of its family's selection, given the selections in the other families.
+// Returns { goals: { tag: n }, methods: { ... }, industries: { ... } }
+export function facetCounts(items, facets, registry, mode = 'any') {
+  const counts = {};
+
+  FACET_FAMILIES.forEach(family => {
+    // Items that already pass every other family's filter
+    const pool = items.filter(item =>
+      FACET_FAMILIES.every(other =>
+        other === family || matchesFamily(item, other, facets[other], mode)
+      )
+    );
+
+    counts[family] = {};
+    Object.keys(registry[family]).forEach(tag => {
+      const selection = mode === 'all'
+        ? [...new Set([...facets[family], tag])]
+        : [tag];
+      counts[family][tag] = pool.filter(item =>
+        matchesFamily(item, family, selection, 'all')
+      ).length;
+    });
+  });
+
+  return counts;
+}
@@ -0,0 +1,156 @@
+// Feed generation for the blog collection - RSS 2.0, Atom 1.0 and JSON Feed 1.1
+// All three share one item model built from the posts at build time. URLs are
+// absolute and respect `site`/`base` from astro.config.mjs.
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+import astroJsxRenderer from 'astro/jsx/server.js';
+import { getPosts } from '../data/posts.js';
+import { withBase, absoluteUrl, postUrl } from './paths.js';
+
+export const FEED_OPTIONS = {
+  title: 'James Young | ML & AI Expert',
+  description: 'Writing on ML, AI, causal inference and building things that work.',
+  author: 'James Young',
+  language: 'en',
+  // Include each post's rendered HTML; set to false for summary-only feeds
+  fullContent: true,
+};
+
+// Feed endpoints, used by the endpoints and the <link rel="alternate"> tags in Base.astro
+export const FEEDS = [
+  { path: '/rss.xml', type: 'application/rss+xml', label: 'RSS' },
+  { path: '/atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  { path: '/feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+];
+
+const escapeXml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// CDATA sections cannot contain "]]>", so split it across two sections
+const cdata = (value = '') => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Relative links inside post HTML break in feed readers - make them absolute
+const absolutizeLinks = (html, baseUrl) =>
+  html.replace(/(href|src)="(\/[^"]*)"/g, (_, attr, path) => `${attr}="${new URL(path, baseUrl).href}"`);
+
+// Build the shared feed model: channel metadata plus one item per post
+export async function getFeed(site, { fullContent = FEED_OPTIONS.fullContent } = {}) {
+  const posts = await getPosts();
+  const container = fullContent ? await AstroContainer.create() : null;
+  // .mdx posts render through Astro's JSX renderer (registered by @astrojs/mdx for pages)
+  container?.addServerRenderer({ name: 'astro:jsx', renderer: astroJsxRenderer });
+
+  const items = await Promise.all(posts.map(async (post) => {
+    const url = new URL(postUrl(post.slug), site).href;
+    let content = null;
+    if (container) {
+      const { Content } = await post.render();
+      content = absolutizeLinks(await container.renderToString(Content), site);
+    }
+
+    return {
+      id: url,
+      url,
+      title: post.data.title,
+      summary: post.data.summary,
+      content,
+      tags: post.data.tags,
+      published: post.data.date,
+      updated: post.data.updated ?? post.data.date,
+    };
+  }));
+
+  const updated = items.reduce(
+    (latest, item) => (item.updated > latest ? item.updated : latest),
+    new Date(0)
+  );
+
+  return {
+    ...FEED_OPTIONS,
+    homeUrl: absoluteUrl('/posts', site),
+    feedUrl: (path) => absoluteUrl(path, site),
+    updated,
+    items,
+  };
+}
+
+export function renderRss(feed) {
+  const items = feed.items.map((item) => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+      ${item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`).join('\n      ')}
+      ${item.content ? `<content:encoded>${cdata(item.content)}</content:encoded>` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${feed.language}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl('/rss.xml'))}" rel="self" type="application/rss+xml" />${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+  const entries = feed.items.map((item) => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}" />
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+    ${item.tags.map((tag) => `<category term="${escapeXml(tag)}" />`).join('\n    ')}
+    ${item.content ? `<content type="html">${escapeXml(item.content)}</content>` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.language}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.homeUrl)}" />
+  <link href="${escapeXml(feed.feedUrl('/atom.xml'))}" rel="self" type="application/atom+xml" />
+  <id>${escapeXml(feed.homeUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.author)}</name></author>${entries}
+</feed>
+`;
+}
+
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl('/feed.json'),
+    language: feed.language,
+    authors: [{ name: feed.author }],
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(item.content ? { content_html: item.content } : { content_text: item.summary }),
+      tags: item.tags,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+    })),
+  }, null, 2);
+}
+
+// Feed paths with the base applied, for <link rel="alternate">
+export const feedLinks = () => FEEDS.map((feed) => ({ ...feed, href: withBase(feed.path) }));
@@ -0,0 +1,217 @@
+// Identification on the causal DAG - backdoor paths, d-separation and
+// adjustment sets for the "adjust" mode of CausalNetworkVisualization.
+//
+// Works on the normalized graph from utils/causalGraph.js. Feedback edges read
+// the previous step's value, so they open no path within a step and are left
+// out; latent nodes (dagitty <->) take part in paths but can't be conditioned
+// on.
+//
+// A path is { nodes: [X, ..., Y], edges, forward } where forward[i] is true
+// when the i-th edge points from nodes[i] to nodes[i + 1].
+
+// Paths are enumerated exhaustively; past this many the graph is too dense to teach with
+const MAX_PATHS = 2000;
+// Minimal sets are searched over every subset of the candidates - 2^n of them
+const MAX_CANDIDATES = 12;
+
+const acyclicEdges = (edges) => edges.filter(edge => !edge.feedback);
+
+// Every node reachable from `id` along directed edges (not including `id`)
+export function descendants(edges, id) {
+  const found = new Set();
+  const stack = [id];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    acyclicEdges(edges).forEach(edge => {
+      if (edge.from === current && !found.has(edge.to)) {
+        found.add(edge.to);
+        stack.push(edge.to);
+      }
+    });
+  }
+  return found;
+}
+
+// Every node with a directed path into one of `ids` (not including them)
+function ancestors(edges, ids) {
+  const found = new Set();
+  const stack = [...ids];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    acyclicEdges(edges).forEach(edge => {
+      if (edge.to === current && !found.has(edge.from) && !ids.includes(edge.from)) {
+        found.add(edge.from);
+        stack.push(edge.from);
+      }
+    });
+  }
+  return found;
+}
+
+// All simple paths between two nodes in the skeleton, ignoring edge direction
+export function allPaths(edges, from, to) {
+  const acyclic = acyclicEdges(edges);
+  const paths = [];
+
+  const walk = (nodes, pathEdges, forward) => {
+    if (paths.length >= MAX_PATHS) {
+      throw new Error(`More than ${MAX_PATHS} paths between ${from} and ${to}`);
+    }
+    const current = nodes[nodes.length - 1];
+    if (current === to) {
+      paths.push({ nodes, edges: pathEdges, forward });
+      return;
+    }
+    acyclic.forEach(edge => {
+      const next = edge.from === current ? edge.to : edge.to === current ? edge.from : null;
+      if (next === null || nodes.includes(next)) return;
+      walk([...nodes, next], [...pathEdges, edge], [...forward, edge.from === current]);
+    });
+  };
+
+  walk([from], [], []);
+  return paths;
+}
+
+// Directed from the first node to the last
+export const isCausalPath = (path) => path.forward.every(Boolean);
+
+// Starts with an arrow into the first node
+export const isBackdoorPath = (path) => path.forward.length > 0 && !path.forward[0];
+
+// Colliders on a path: interior nodes both neighbouring edges point into
+export function pathColliders(path) {
+  return path.nodes.filter((_, i) =>
+    i > 0 && i < path.nodes.length - 1 && path.forward[i - 1] && !path.forward[i]
+  );
+}
+
+// Whether `conditioned` blocks a path. A non-collider blocks when conditioned
+// on; a collider blocks unless it or one of its descendants is conditioned on.
+// Returns { open, blockedBy, openedBy } - the nodes that block the path, and
+// the conditioned nodes that open a collider on it.
+export function pathStatus(path, conditioned, edges) {
+  const colliders = new Set(pathColliders(path));
+  const blockedBy = [];
+  const openedBy = [];
+
+  path.nodes.slice(1, -1).forEach(id => {
+    if (!colliders.has(id)) {
+      if (conditioned.has(id)) blockedBy.push(id);
+      return;
+    }
+    const opener = [id, ...descendants(edges, id)].find(node => conditioned.has(node));
+    if (opener) openedBy.push(opener);
+    else blockedBy.push(id);
+  });
+
+  return { open: blockedBy.length === 0, blockedBy, openedBy };
+}
+
+// X and Y are d-separated by Z when every path between them is blocked
+export function dSeparated(edges, x, y, conditioned) {
+  return allPaths(edges, x, y).every(path => !pathStatus(path, conditioned, edges).open);
+}
+
+// Backdoor criterion: Z holds no descendant of X and blocks every backdoor path
+function satisfiesBackdoor(edges, backdoorPaths, treatmentDescendants, conditioned) {
+  return [...conditioned].every(id => !treatmentDescendants.has(id))
+    && backdoorPaths.every(path => !pathStatus(path, conditioned, edges).open);
+}
+
+// Subsets of `candidates` in order of size
+function* subsets(candidates) {
+  for (let size = 0; size <= candidates.length; size++) {
+    yield* combinations(candidates, size);
+  }
+}
+
+function* combinations(items, size, start = 0, chosen = []) {
+  if (chosen.length === size) {
+    yield chosen;
+    return;
+  }
+  for (let i = start; i < items.length; i++) {
+    yield* combinations(items, size, i + 1, [...chosen, items[i]]);
+  }
+}
+
+// Smallest-first sets passing `test`, skipping supersets of sets already found
+function minimalSets(candidates, test) {
+  if (candidates.length > MAX_CANDIDATES) {
+    throw new Error(`More than ${MAX_CANDIDATES} candidate nodes to search for adjustment sets`);
+  }
+  const found = [];
+  for (const set of subsets(candidates)) {
+    if (found.some(smaller => smaller.every(id => set.includes(id)))) continue;
+    if (test(new Set(set))) found.push(set);
+  }
+  return found;
+}
+
+// Minimal (by inclusion) backdoor adjustment sets for the effect of X on Y.
+// Minimal sets only ever contain ancestors of X or Y, which keeps the search small.
+export function minimalAdjustmentSets(nodes, edges, x, y) {
+  const backdoorPaths = allPaths(edges, x, y).filter(isBackdoorPath);
+  const treatmentDescendants = descendants(edges, x);
+  const candidates = [...ancestors(edges, [x, y])]
+    .filter(id => nodes[id]?.type !== 'latent' && !treatmentDescendants.has(id));
+
+  return minimalSets(candidates, set => satisfiesBackdoor(edges, backdoorPaths, treatmentDescendants, set));
+}
+
+// Minimal front-door sets M: M intercepts every directed path X → Y, no
+// backdoor path X to M is open, and X blocks every backdoor path M to Y
+export function frontDoorSets(nodes, edges, x, y) {
+  const causalPaths = allPaths(edges, x, y).filter(isCausalPath);
+  if (causalPaths.length === 0) return [];
+
+  const candidates = [...new Set(causalPaths.flatMap(path => path.nodes.slice(1, -1)))]
+    .filter(id => nodes[id]?.type !== 'latent');
+  const none = new Set();
+  const treatment = new Set([x]);
+
+  return minimalSets(candidates, set => set.size > 0
+    && causalPaths.every(path => path.nodes.some(id => set.has(id)))
+    && [...set].every(m =>
+      allPaths(edges, x, m).filter(isBackdoorPath).every(path => !pathStatus(path, none, edges).open)
+      && allPaths(edges, m, y).filter(isBackdoorPath).every(path => !pathStatus(path, treatment, edges).open)
+    ));
+}
+
+// Everything the explorer shows for treatment X, outcome Y and the set of
+// conditioned nodes:
+//   paths          - every X-Y path with kind ('causal' | 'backdoor' | 'other')
+//                    and its pathStatus under the conditioning set
+//   mediators      - nodes on a directed path X → Y
+//   colliders      - nodes that are a collider on some X-Y path
+//   adjustmentSets - minimal backdoor adjustment sets
+//   frontDoorSets  - minimal front-door sets
+//   badControls    - conditioned descendants of X (they bias the estimate)
+//   identified     - the conditioning set satisfies the backdoor criterion
+export function analyzeIdentification(nodes, edges, x, y, conditioned) {
+  const treatmentDescendants = descendants(edges, x);
+  const paths = allPaths(edges, x, y).map(path => ({
+    ...path,
+    kind: isCausalPath(path) ? 'causal' : isBackdoorPath(path) ? 'backdoor' : 'other',
+    colliders: pathColliders(path),
+    ...pathStatus(path, conditioned, edges),
+  }));
+  const backdoorPaths = paths.filter(path => path.kind === 'backdoor');
+
+  return {
+    paths,
+    mediators: new Set(paths.filter(path => path.kind === 'causal').flatMap(path => path.nodes.slice(1, -1))),
+    colliders: new Set(paths.flatMap(path => path.colliders)),
+    adjustmentSets: minimalAdjustmentSets(nodes, edges, x, y),
+    frontDoorSets: frontDoorSets(nodes, edges, x, y),
+    badControls: [...conditioned].filter(id => treatmentDescendants.has(id)),
+    identified: satisfiesBackdoor(edges, backdoorPaths, treatmentDescendants, conditioned),
+  };
+}
+
+// Path in arrow notation, e.g. PRICE ← MARKET → DEMAND
+export function pathLabel(path, label = (id) => id) {
+  return path.nodes.reduce((text, id, i) =>
+    i === 0 ? label(id) : `${text} ${path.forward[i - 1] ? '→' : '←'} ${label(id)}`, '');
+}
@@ -0,0 +1,27 @@
+// Lazy loading for the hero's 3D libraries. Three.js and 3Dmol are bundled
+// and imported the first time a component that needs them mounts, so only
+// the home page downloads them. Every step of a load is raced against a
+// timeout: a component shows its fallback instead of a spinner forever.
+
+export const LOAD_TIMEOUT_MS = 10000;
+
+export class LoadTimeoutError extends Error {
+  constructor(what, ms) {
+    super(`${what} did not load within ${ms / 1000}s`);
+    this.name = 'LoadTimeoutError';
+  }
+}
+
+// Resolve with `promise`, or reject with LoadTimeoutError after `ms`
+export function withTimeout(promise, what, ms = LOAD_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new LoadTimeoutError(what, ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export const loadThree = () => withTimeout(import('three'), 'Three.js');
+
+// The package's ES module build; its main entry is a UMD bundle
+export const load3Dmol = () => withTimeout(import('3dmol/build/3Dmol.es6-min.js'), '3Dmol');
@@ -0,0 +1,71 @@
+// Protein sequences and point mutations for MolecularViewer's sequence track.
+//
+// Mutations use the usual notation - wild-type residue, position,
+// replacement: "D52N, W62Y". A chain can prefix one ("B:D52N"); without it
+// the mutation applies to the first chain that has that position.
+
+export const AMINO_ACIDS = {
+  ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G', HIS: 'H', ILE: 'I',
+  LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S', THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
+};
+
+const CODES = Object.values(AMINO_ACIDS).join('');
+const MUTATION = new RegExp(`^(?:([A-Za-z0-9]):)?([${CODES}])(\\d+)([${CODES}])$`, 'i');
+
+export class MutationParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MutationParseError';
+  }
+}
+
+// "D52N, W62Y" (commas, semicolons or whitespace between) ->
+// [{ id: 'D52N', chain: null, from: 'D', resi: 52, to: 'N' }, ...]
+export function parseMutations(text) {
+  const mutations = text
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(token => {
+      const match = MUTATION.exec(token);
+      if (!match) {
+        throw new MutationParseError(`"${token}" is not a point mutation like D52N`);
+      }
+      const [, chain = null, from, position, to] = match;
+      const mutation = { chain, from: from.toUpperCase(), resi: Number(position), to: to.toUpperCase() };
+      if (mutation.from === mutation.to) {
+        throw new MutationParseError(`${token} doesn't change the residue`);
+      }
+      return { id: `${chain ? `${chain}:` : ''}${mutation.from}${mutation.resi}${mutation.to}`, ...mutation };
+    });
+
+  // A chain-less mutation can land on any chain, so it clashes with every
+  // other mutation at its position; chained ones only within their chain
+  mutations.forEach((mutation, i) => {
+    const clash = mutations.slice(0, i).find(earlier => earlier.resi === mutation.resi
+      && (!earlier.chain || !mutation.chain || earlier.chain === mutation.chain));
+    if (clash) {
+      throw new MutationParseError(`${mutation.id}: position ${mutation.resi} is already mutated by ${clash.id}`);
+    }
+  });
+  return mutations;
+}
+
+// One-letter sequence from a model's alpha carbons:
+// [{ resi, chain, resn, code }], unknown residues as 'X'
+export function sequenceFromAtoms(atoms) {
+  return atoms
+    .filter(atom => atom.atom === 'CA' && !atom.hetflag)
+    .map(({ resi, chain, resn }) => ({ resi, chain, resn, code: AMINO_ACIDS[resn] ?? 'X' }));
+}
+
+// Place each mutation on the sequence: `residue` is the sequence entry it
+// lands on (null if the position isn't in the structure) and `mismatch` is
+// true when the structure's residue isn't the stated wild type
+export function locateMutations(mutations, sequence) {
+  return mutations.map(mutation => {
+    const residue = sequence.find(entry =>
+      entry.resi === mutation.resi && (!mutation.chain || entry.chain === mutation.chain)
+    ) ?? null;
+    return { ...mutation, residue, mismatch: Boolean(residue) && residue.code !== mutation.from };
+  });
+}
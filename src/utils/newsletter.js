@@ -0,0 +1,162 @@
+// Newsletter signup - provider adapters behind one interface
+//
+// An adapter is { name, subscribe(email) } where subscribe resolves to
+//   { status: 'pending' }  - confirmation email sent (double opt-in)
+//   { status: 'already' }  - address is already on the list
+// and rejects with a NewsletterError carrying a user-facing message.
+//
+// Providers: Buttondown and Mailchimp embed endpoints, any HTTP endpoint that
+// accepts a form/JSON POST, and a local mock for testing the flow offline.
+
+export class NewsletterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NewsletterError';
+  }
+}
+
+// A provider setup that can't work; thrown at build time (src/data/newsletter.js)
+export class NewsletterConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NewsletterConfigError';
+  }
+}
+
+// Settings each provider needs, and the environment variable that sets them
+export const PROVIDER_SETTINGS = {
+  buttondown: { username: 'PUBLIC_BUTTONDOWN_USERNAME' },
+  mailchimp: { action: 'PUBLIC_MAILCHIMP_ACTION' },
+  http: { endpoint: 'PUBLIC_NEWSLETTER_ENDPOINT' },
+  mock: {},
+};
+
+// Deliberately loose - the provider does the real check via the confirmation email
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Returns an error message, or null when the address looks deliverable
+export function validateEmail(email) {
+  const value = email.trim();
+  if (!value) return 'Enter an email address.';
+  if (value.length > 254) return 'That address is too long.';
+  if (!EMAIL_PATTERN.test(value)) return 'That doesn\'t look like an email address.';
+  return null;
+}
+
+// Generic HTTP POST adapter
+// - format: 'form' (application/x-www-form-urlencoded) or 'json'
+// - opaque: true for endpoints that don't send CORS headers (embed forms);
+//   the response can't be read, so a completed request counts as pending
+export function createHttpAdapter({
+  name = 'http',
+  endpoint,
+  fieldName = 'email',
+  fields = {},
+  format = 'form',
+  opaque = false,
+}) {
+  return {
+    name,
+    async subscribe(email) {
+      const payload = { ...fields, [fieldName]: email.trim() };
+      const body = format === 'json'
+        ? JSON.stringify(payload)
+        : new URLSearchParams(payload);
+
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          mode: opaque ? 'no-cors' : 'cors',
+          headers: format === 'json' ? { 'Content-Type': 'application/json' } : undefined,
+          body,
+        });
+      } catch (err) {
+        throw new NewsletterError('Couldn\'t reach the newsletter service. Check your connection and try again.');
+      }
+
+      if (opaque || response.type === 'opaque') return { status: 'pending' };
+      if (response.status === 409) return { status: 'already' };
+      if (!response.ok) {
+        throw new NewsletterError(`Signup failed (${response.status}). Please try again later.`);
+      }
+      return { status: 'pending' };
+    },
+  };
+}
+
+// Buttondown embed form endpoint; Buttondown sends the confirmation email
+export const createButtondownAdapter = ({ username }) =>
+  createHttpAdapter({
+    name: 'buttondown',
+    endpoint: `https://buttondown.email/api/emails/embed-subscribe/${encodeURIComponent(username)}`,
+    opaque: true,
+  });
+
+// Mailchimp embedded form action URL (…list-manage.com/subscribe/post?u=…&id=…)
+export const createMailchimpAdapter = ({ action }) =>
+  createHttpAdapter({
+    name: 'mailchimp',
+    endpoint: action,
+    fieldName: 'EMAIL',
+    opaque: true,
+  });
+
+// Offline adapter for development and testing. Remembers addresses for the
+// session; addresses starting with "fail@" reject so the error path can be tried.
+export function createMockAdapter({ delay = 600 } = {}) {
+  const subscribed = new Set();
+
+  return {
+    name: 'mock',
+    async subscribe(email) {
+      const address = email.trim().toLowerCase();
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (address.startsWith('fail@')) {
+        throw new NewsletterError('Mock provider rejected this address (fail@ test address).');
+      }
+      if (subscribed.has(address)) return { status: 'already' };
+
+      subscribed.add(address);
+      return { status: 'pending' };
+    },
+  };
+}
+
+// Check a provider config; returns it unchanged. `provider: null` means
+// signups are off. The mock only runs in development (`dev`), so a deployed
+// site never tells visitors to check an inbox nothing was sent to.
+export function validateNewsletterConfig(config, { dev = false } = {}) {
+  if (!config.provider) return config;
+  if (!Object.hasOwn(PROVIDER_SETTINGS, config.provider)) {
+    throw new NewsletterConfigError(
+      `Unknown newsletter provider "${config.provider}" (use ${Object.keys(PROVIDER_SETTINGS).join(', ')})`
+    );
+  }
+  if (config.provider === 'mock' && !dev) {
+    throw new NewsletterConfigError('The mock newsletter provider is for development only - pick a real provider or unset PUBLIC_NEWSLETTER_PROVIDER');
+  }
+  Object.entries(PROVIDER_SETTINGS[config.provider]).forEach(([setting, variable]) => {
+    if (!config[setting]) {
+      throw new NewsletterConfigError(`The ${config.provider} newsletter provider needs ${variable}`);
+    }
+  });
+  return config;
+}
+
+// Build an adapter from serializable config (see src/data/newsletter.js)
+export function createNewsletterAdapter(config) {
+  switch (config.provider) {
+    case 'buttondown':
+      return createButtondownAdapter(config);
+    case 'mailchimp':
+      return createMailchimpAdapter(config);
+    case 'http':
+      return createHttpAdapter(config);
+    case 'mock':
+      return createMockAdapter(config);
+    default:
+      throw new Error(`Unknown newsletter provider "${config.provider}"`);
+  }
+}
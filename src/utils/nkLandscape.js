@@ -0,0 +1,104 @@
+// NK fitness landscapes for the ENZYME ENGINEERING panel
+//
+// Kauffman's NK model: a genotype is N binary sites, and each site's fitness
+// contribution depends on itself and its K right-hand neighbours (wrapping
+// round), drawn once per combination from U(0, 1). Fitness is the mean
+// contribution. K = 0 gives a single smooth peak; as K grows towards N − 1 the
+// landscape gets more rugged and local optima multiply.
+//
+// Genotypes are integers (bit i = site i). N is small enough to enumerate
+// every genotype up front, so fitness is a table lookup, normalized to 0-1
+// between the worst and best genotype.
+import { createRng } from './random.js';
+
+export const NK_PARAMS = { n: 12, k: 3, seed: 7 };
+
+const bitCount = (x) => {
+  let count = 0;
+  for (let bits = x; bits; bits &= bits - 1) count++;
+  return count;
+};
+
+export const hammingDistance = (a, b) => bitCount(a ^ b);
+
+// Sites where two genotypes differ
+export function changedSites(a, b, n) {
+  const sites = [];
+  for (let i = 0; i < n; i++) if (((a ^ b) >> i) & 1) sites.push(i);
+  return sites;
+}
+
+// Genotypes one mutation away
+export const neighbours = (genotype, n) => Array.from({ length: n }, (_, i) => genotype ^ (1 << i));
+
+export function createNKLandscape({ n, k, seed } = NK_PARAMS) {
+  if (k < 0 || k >= n) throw new Error(`NK landscape needs 0 ≤ K < N (got N=${n}, K=${k})`);
+  const rng = createRng(seed);
+  const tables = Array.from({ length: n }, () => Float64Array.from({ length: 2 ** (k + 1) }, rng));
+
+  const size = 2 ** n;
+  const raw = new Float64Array(size);
+  for (let genotype = 0; genotype < size; genotype++) {
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      let index = 0;
+      for (let j = 0; j <= k; j++) index |= ((genotype >> ((i + j) % n)) & 1) << j;
+      total += tables[i][index];
+    }
+    raw[genotype] = total / n;
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  let optimum = 0;
+  raw.forEach((value, genotype) => {
+    min = Math.min(min, value);
+    if (value > max) {
+      max = value;
+      optimum = genotype;
+    }
+  });
+  const fitness = raw.map(value => (value - min) / (max - min));
+
+  let localOptima = 0;
+  for (let genotype = 0; genotype < size; genotype++) {
+    if (neighbours(genotype, n).every(neighbour => fitness[neighbour] < fitness[genotype])) localOptima++;
+  }
+
+  return { n, k, seed, fitness, optimum, localOptima };
+}
+
+// ============================================================================
+// 2D MAP
+// ============================================================================
+// The low and high halves of the genotype become x and y, each laid out in
+// Gray-code order so neighbouring positions differ by one mutation.
+
+const fromGray = (code) => {
+  let value = code;
+  for (let shift = code >> 1; shift; shift >>= 1) value ^= shift;
+  return value;
+};
+
+const mapBits = (n) => ({ xBits: Math.ceil(n / 2), yBits: Math.floor(n / 2) });
+
+// Grid cell { col, row } a genotype falls in
+export function cellOf(landscape, genotype, cols, rows) {
+  const { xBits, yBits } = mapBits(landscape.n);
+  const x = fromGray(genotype & (2 ** xBits - 1));
+  const y = fromGray(genotype >> xBits);
+  return {
+    col: Math.floor((x * cols) / 2 ** xBits),
+    row: rows - 1 - Math.floor((y * rows) / 2 ** yBits),
+  };
+}
+
+// rows × cols array of the best fitness in each cell
+export function landscapeGrid(landscape, cols, rows) {
+  const grid = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  landscape.fitness.forEach((value, genotype) => {
+    const { col, row } = cellOf(landscape, genotype, cols, rows);
+    grid[row][col] = Math.max(grid[row][col], value);
+  });
+  return grid;
+}
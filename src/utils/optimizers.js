@@ -0,0 +1,211 @@
+// Optimizer traces over an NK landscape (utils/nkLandscape.js)
+//
+// Each optimizer spends one fitness evaluation per step and records where it
+// stands, so the ENZYME ENGINEERING panel can replay the run tick by tick.
+// Runs are seeded: the same method and seed give the same trace.
+//
+// Trace entry: { genotype, fitness, proposal, accepted, best, bestFitness,
+// changed, note } - `genotype` is where the climber is after the step,
+// `proposal` the genotype evaluated, `changed` the sites that differ from the
+// previous position and `note` a few words for the readout.
+import { createRng } from './random.js';
+import { changedSites, hammingDistance, neighbours } from './nkLandscape.js';
+
+export const OPTIMIZERS = {
+  greedy: 'hill climbing',
+  annealing: 'simulated annealing',
+  bayesian: 'Bayesian optimization',
+};
+
+export const TRACE_STEPS = 60;
+
+const ANNEALING = { startTemperature: 0.08, endTemperature: 0.002 };
+
+// GP-UCB: Hamming-distance exponential kernel, random start design. The
+// kernel's amplitude is the spread of the fitness seen so far
+const BAYESIAN = { initialPoints: 4, lengthScale: 2, noise: 1e-6, exploration: 2, randomCandidates: 60 };
+
+const randomGenotype = (n, rng) => Math.floor(rng() * 2 ** n);
+
+function record(trace, landscape, { genotype, proposal, accepted, note }) {
+  const previous = trace[trace.length - 1];
+  const fitness = landscape.fitness[genotype];
+  const best = previous && previous.bestFitness >= landscape.fitness[proposal] ? previous.best : proposal;
+  trace.push({
+    genotype,
+    fitness,
+    proposal,
+    accepted,
+    best,
+    bestFitness: landscape.fitness[best],
+    changed: previous ? changedSites(previous.genotype, genotype, landscape.n) : [],
+    note,
+  });
+}
+
+// ============================================================================
+// HILL CLIMBING
+// ============================================================================
+// First-improvement: try single mutants in random order, move to the first
+// better one. Once every neighbour has been tried it's stuck on a local optimum.
+
+function greedy(landscape, rng, steps) {
+  const { n, fitness } = landscape;
+  const trace = [];
+  let current = randomGenotype(n, rng);
+  record(trace, landscape, { genotype: current, proposal: current, accepted: true, note: 'start' });
+
+  let untried = neighbours(current, n);
+  while (trace.length < steps) {
+    if (untried.length === 0) {
+      record(trace, landscape, { genotype: current, proposal: current, accepted: false, note: 'local optimum' });
+      continue;
+    }
+    const [proposal] = untried.splice(Math.floor(rng() * untried.length), 1);
+    if (fitness[proposal] > fitness[current]) {
+      current = proposal;
+      untried = neighbours(current, n);
+      record(trace, landscape, { genotype: current, proposal, accepted: true, note: 'uphill' });
+    } else {
+      record(trace, landscape, {
+        genotype: current,
+        proposal,
+        accepted: false,
+        note: untried.length === 0 ? 'local optimum' : 'rejected',
+      });
+    }
+  }
+  return trace;
+}
+
+// ============================================================================
+// SIMULATED ANNEALING
+// ============================================================================
+// Random single mutants; downhill moves are accepted with probability
+// exp(Δ/T), and T cools geometrically over the run.
+
+function annealing(landscape, rng, steps) {
+  const { n, fitness } = landscape;
+  const { startTemperature, endTemperature } = ANNEALING;
+  const trace = [];
+  let current = randomGenotype(n, rng);
+  record(trace, landscape, { genotype: current, proposal: current, accepted: true, note: 'start' });
+
+  for (let step = 1; step < steps; step++) {
+    const temperature = startTemperature * (endTemperature / startTemperature) ** (step / (steps - 1));
+    const proposal = current ^ (1 << Math.floor(rng() * n));
+    const delta = fitness[proposal] - fitness[current];
+    const accepted = delta >= 0 || rng() < Math.exp(delta / temperature);
+    if (accepted) current = proposal;
+    record(trace, landscape, {
+      genotype: current,
+      proposal,
+      accepted,
+      note: !accepted ? 'rejected' : delta >= 0 ? 'uphill' : `downhill (T=${temperature.toFixed(3)})`,
+    });
+  }
+  return trace;
+}
+
+// ============================================================================
+// BAYESIAN OPTIMIZATION
+// ============================================================================
+// A Gaussian process over genotypes (kernel exp(−hamming / ℓ)) is refit after
+// every evaluation; the next genotype maximizes the upper confidence bound
+// μ + β·σ among single and double mutants of the best so far plus a few
+// random genotypes. The climber jumps to each genotype it evaluates.
+
+function cholesky(matrix) {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => new Float64Array(size));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / lower[j][j];
+    }
+  }
+  return lower;
+}
+
+// Solve L·x = b
+function forwardSolve(lower, b) {
+  const x = new Float64Array(b.length);
+  for (let i = 0; i < b.length; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= lower[i][k] * x[k];
+    x[i] = sum / lower[i][i];
+  }
+  return x;
+}
+
+// Solve Lᵀ·x = b
+function backSolve(lower, b) {
+  const x = new Float64Array(b.length);
+  for (let i = b.length - 1; i >= 0; i--) {
+    let sum = b[i];
+    for (let k = i + 1; k < b.length; k++) sum -= lower[k][i] * x[k];
+    x[i] = sum / lower[i][i];
+  }
+  return x;
+}
+
+function candidatesAround(best, n, rng) {
+  const candidates = new Set(neighbours(best, n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) candidates.add(best ^ (1 << i) ^ (1 << j));
+  }
+  for (let i = 0; i < BAYESIAN.randomCandidates; i++) candidates.add(randomGenotype(n, rng));
+  return [...candidates];
+}
+
+function bayesian(landscape, rng, steps) {
+  const { n, fitness } = landscape;
+  const { initialPoints, lengthScale, noise, exploration } = BAYESIAN;
+  const kernel = (a, b) => Math.exp(-hammingDistance(a, b) / lengthScale);
+  const trace = [];
+  const observed = [];
+
+  const evaluate = (genotype, note) => {
+    observed.push(genotype);
+    record(trace, landscape, { genotype, proposal: genotype, accepted: true, note });
+  };
+
+  while (trace.length < Math.min(initialPoints, steps)) evaluate(randomGenotype(n, rng), 'random start');
+
+  while (trace.length < steps) {
+    const ys = observed.map(genotype => fitness[genotype]);
+    const mean = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const spread = Math.sqrt(ys.reduce((sum, y) => sum + (y - mean) ** 2, 0) / ys.length) || 0.1;
+    const lower = cholesky(observed.map((a, i) => observed.map((b, j) => kernel(a, b) + (i === j ? noise : 0))));
+    const alpha = backSolve(lower, forwardSolve(lower, ys.map(y => y - mean)));
+
+    const seen = new Set(observed);
+    let next = null;
+    let nextScore = -Infinity;
+    candidatesAround(trace[trace.length - 1].best, n, rng).forEach(candidate => {
+      if (seen.has(candidate)) return;
+      const covariance = observed.map(genotype => kernel(candidate, genotype));
+      const mu = mean + covariance.reduce((sum, c, i) => sum + c * alpha[i], 0);
+      const v = forwardSolve(lower, covariance);
+      const sigma = spread * Math.sqrt(Math.max(0, 1 - v.reduce((sum, x) => sum + x * x, 0)));
+      const score = mu + exploration * sigma;
+      if (score > nextScore) {
+        next = candidate;
+        nextScore = score;
+      }
+    });
+    if (next === null) break;
+    evaluate(next, `UCB ${nextScore.toFixed(2)}`);
+  }
+  return trace;
+}
+
+const RUNNERS = { greedy, annealing, bayesian };
+
+// Trace of `steps` evaluations of `method` from a seeded random start
+export function runOptimizer(landscape, method, { seed = 1, steps = TRACE_STEPS } = {}) {
+  const run = RUNNERS[method];
+  if (!run) throw new Error(`Unknown optimizer "${method}" (use ${Object.keys(RUNNERS).join(', ')})`);
+  return run(landscape, createRng(seed), steps);
+}
@@ -0,0 +1,19 @@
+// Base-aware URLs - the site is served from `base` in astro.config.mjs (/foretodata),
+// so internal links must be prefixed with it instead of starting at the domain root.
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+// withBase('/posts/foo') -> '/foretodata/posts/foo'
+export function withBase(path = '/') {
+  return `${BASE}/${path.replace(/^\//, '')}`;
+}
+
+// URL of a blog post page
+export const postUrl = (slug) => withBase(`/posts/${slug}`);
+
+// URL of a tag archive page
+export const tagUrl = (tag) => withBase(`/posts/tags/${tag}`);
+
+// Absolute URL for feeds and other off-site consumers, e.g.
+// absoluteUrl('/posts/foo', site) -> 'https://jamesyoung93.github.io/foretodata/posts/foo'
+export const absoluteUrl = (path, site) => new URL(withBase(path), site).href;
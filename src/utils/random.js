@@ -0,0 +1,21 @@
+// Seedable pseudo-random numbers, so simulations replay identically for a seed
+
+// mulberry32 - small, fast, good enough for visual simulations. Returns a
+// function yielding floats in [0, 1).
+export function createRng(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller) from a uniform generator
+export function gaussian(rng) {
+  const u = 1 - rng(); // (0, 1] so the log is finite
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
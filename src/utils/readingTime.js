@@ -0,0 +1,18 @@
+// Reading time estimate for Markdown/MDX bodies
+const WORDS_PER_MINUTE = 220;
+
+// Strip code fences, markup and link targets so only prose is counted
+function proseWords(markdown = '') {
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\]\([^)]*\)/g, ']')
+    .split(/\s+/)
+    .filter(word => /[A-Za-z0-9]/.test(word));
+}
+
+// Returns { words, minutes } with a one-minute floor
+export function readingTime(markdown) {
+  const words = proseWords(markdown).length;
+  return { words, minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
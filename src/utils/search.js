@@ -0,0 +1,133 @@
+// Full-text search over accomplishments (and posts, for the shell overlay)
+// The index is built once at build time (index.astro) and shipped to FilterToggle
+// as a plain JSON prop, so searching needs no runtime service.
+//
+// Ranking: every query token must match at least one indexed term in a document.
+// A token matches a term exactly, as a prefix (for search-as-you-type) or within
+// a small edit distance (typos). Scores add up idf × field weight × match quality.
+
+// Field weights - a hit in the title counts more than one buried in the details
+const FIELD_WEIGHTS = { title: 3, metrics: 2, summary: 1.5, details: 1 };
+
+// Match quality by kind of match
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = [1, 0.6, 0.4]; // indexed by edit distance
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with', 'while', 'via', 'that', 'this',
+]);
+
+export function tokenize(text = '') {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(t => !STOP_WORDS.has(t));
+}
+
+// Searchable text of an accomplishment, keyed by FIELD_WEIGHTS field
+const accomplishmentFields = (item) => ({
+  title: item.title,
+  summary: item.summary,
+  details: item.details,
+  metrics: item.metrics.join(' '),
+});
+
+// Build a serializable inverted index: { docCount, postings: { term: [[id, field, tf], ...] } }
+// `getFields` maps an item to its text per field (any subset of FIELD_WEIGHTS keys)
+export function buildSearchIndex(items, getFields = accomplishmentFields) {
+  const postings = {};
+
+  items.forEach(item => {
+    const fields = getFields(item);
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const frequencies = {};
+      tokenize(text).forEach(term => {
+        frequencies[term] = (frequencies[term] || 0) + 1;
+      });
+      Object.entries(frequencies).forEach(([term, tf]) => {
+        (postings[term] = postings[term] || []).push([item.id, field, tf]);
+      });
+    });
+  });
+
+  return { docCount: items.length, postings };
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Allowed typos grow with token length; short tokens must match exactly or as a prefix
+const maxTypos = (token) => (token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0);
+
+// How well a query token matches an indexed term (0 = no match)
+function matchQuality(token, term) {
+  if (token === term) return EXACT_MATCH;
+  if (token.length >= 2 && term.startsWith(token)) return PREFIX_MATCH;
+
+  const allowed = maxTypos(token);
+  if (allowed === 0) return 0;
+  const distance = editDistance(token, term, allowed);
+  return distance <= allowed ? FUZZY_MATCH[distance] : 0;
+}
+
+// Search the index. Returns [{ id, score, terms }] sorted by score, where
+// `terms` lists the indexed terms that matched (used for highlighting).
+export function searchIndex(index, query) {
+  const tokens = [...new Set(tokenize(query))];
+  if (tokens.length === 0) return [];
+
+  const vocabulary = Object.keys(index.postings);
+  const docs = new Map(); // id -> { score, terms: Set, tokens: Set }
+
+  tokens.forEach(token => {
+    vocabulary.forEach(term => {
+      const quality = matchQuality(token, term);
+      if (quality === 0) return;
+
+      const postings = index.postings[term];
+      const docsWithTerm = new Set(postings.map(([id]) => id)).size;
+      const idf = Math.log(1 + index.docCount / docsWithTerm);
+
+      postings.forEach(([id, field, tf]) => {
+        const doc = docs.get(id) || { score: 0, terms: new Set(), tokens: new Set() };
+        doc.score += quality * idf * FIELD_WEIGHTS[field] * (1 + Math.log(tf));
+        doc.terms.add(term);
+        doc.tokens.add(token);
+        docs.set(id, doc);
+      });
+    });
+  });
+
+  return [...docs.entries()]
+    .filter(([, doc]) => doc.tokens.size === tokens.length)
+    .map(([id, doc]) => ({ id, score: doc.score, terms: [...doc.terms] }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Split text into [{ text, match }] segments, marking words whose token is in `terms`
+export function highlightSegments(text = '', terms = []) {
+  if (terms.length === 0) return [{ text, match: false }];
+
+  const termSet = new Set(terms);
+  return text
+    .split(/([A-Za-z0-9]+)/)
+    .filter(part => part !== '')
+    .map(part => ({ text: part, match: termSet.has(part.toLowerCase()) }));
+}
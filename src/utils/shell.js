@@ -0,0 +1,296 @@
+// Command interpreter for the terminal shell overlay (TerminalShell.jsx)
+//
+// Commands are pure: run() returns the lines to print plus a list of effects
+// (navigate, theme, sound, filter, ...) that the component carries out. That
+// keeps the page side effects in one place and the commands easy to follow.
+//
+// Output lines are { text, kind } with kind 'out' | 'err' | 'hl' | 'dim'.
+import { searchIndex } from './search.js';
+import { filterStateToSearch } from './urlState.js';
+
+// filter keys -> FilterToggle view mode / category registry family
+const FILTER_KEYS = {
+  goal: { viewMode: 'goal', family: 'goals' },
+  goals: { viewMode: 'goal', family: 'goals' },
+  method: { viewMode: 'method', family: 'methods' },
+  methods: { viewMode: 'method', family: 'methods' },
+  industry: { viewMode: 'industry', family: 'industries' },
+  industries: { viewMode: 'industry', family: 'industries' },
+};
+
+// Own-property lookup, so input like `toString` or `constructor` never
+// reaches Object.prototype
+const lookup = (table, key) => (Object.hasOwn(table, key) ? table[key] : undefined);
+
+// Top-level "directories" reachable with cd
+const DIRECTORIES = ['posts', 'about', 'newsletter'];
+
+const out = (text) => ({ text, kind: 'out' });
+const err = (text) => ({ text, kind: 'err' });
+const hl = (text) => ({ text, kind: 'hl' });
+const dim = (text) => ({ text, kind: 'dim' });
+
+// Two-column listing with the first column padded to a common width
+function columns(rows) {
+  const width = Math.max(0, ...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => out(`${left.padEnd(width)}  ${right}`));
+}
+
+export function createShell({ projects, posts, categories, projectIndex, postIndex }) {
+  const findProject = (name) => projects.find((p) => p.id === name.replace(/^projects\//, ''));
+  const findPost = (name) => posts.find((p) => p.id === name.replace(/^posts\//, ''));
+
+  const commands = {
+    help: {
+      usage: 'help',
+      description: 'list commands',
+      run: () => ({
+        lines: [
+          hl('available commands:'),
+          ...columns(Object.values(commands).map((c) => [c.usage, c.description])),
+          dim('tab completes, ↑/↓ walk history, esc closes'),
+        ],
+      }),
+    },
+
+    ls: {
+      usage: 'ls [projects|posts]',
+      description: 'list projects or posts',
+      run: ([target]) => {
+        if (!target) {
+          return { lines: [out('projects/  posts/  about  newsletter')] };
+        }
+        if (target.replace(/\/$/, '') === 'projects') {
+          return { lines: columns(projects.map((p) => [p.id, p.title])) };
+        }
+        if (target.replace(/\/$/, '') === 'posts') {
+          return { lines: columns(posts.map((p) => [`${p.date}  ${p.id}`, p.title])) };
+        }
+        return { lines: [err(`ls: ${target}: No such directory`)] };
+      },
+    },
+
+    cat: {
+      usage: 'cat <project|post>',
+      description: 'show a project or post',
+      run: ([name], ctx) => {
+        if (!name) return { lines: [err('usage: cat <project|post>')] };
+
+        const project = findProject(name);
+        if (project) {
+          const labels = (family, tags) => tags.map((tag) => lookup(categories[family], tag)?.label ?? tag).join(', ');
+          return {
+            lines: [
+              hl(project.title),
+              out(project.summary),
+              out(''),
+              out(project.details),
+              out(''),
+              ...project.metrics.map((metric) => out(`▸ ${metric}`)),
+              dim(`goals: ${labels('goals', project.goals)}`),
+              dim(`methods: ${labels('methods', project.methods)}`),
+              dim(`industries: ${labels('industries', project.industries)}`),
+            ],
+            // On the home page, expand the card too
+            effects: ctx.hasFilterToggle ? [{ type: 'emit', name: 'project', detail: { id: project.id } }] : [],
+          };
+        }
+
+        const post = findPost(name);
+        if (post) {
+          return {
+            lines: [
+              hl(post.title),
+              dim(`${post.date}  ${post.tags.map((tag) => `#${tag}`).join(' ')}`),
+              out(post.summary),
+              dim(`→ cd posts/${post.id} to read`),
+            ],
+          };
+        }
+
+        return { lines: [err(`cat: ${name}: No such file (try ls projects)`)] };
+      },
+    },
+
+    cd: {
+      usage: 'cd <dir>',
+      description: 'go to posts, about, newsletter or ~',
+      run: ([dir = '~'], ctx) => {
+        let path;
+        if (dir === '~' || dir === '/') {
+          path = '/';
+        } else if (dir === '..') {
+          path = ctx.path.replace(/\/[^/]+\/?$/, '') || '/';
+        } else {
+          const target = dir.replace(/^~?\//, '').replace(/\/$/, '');
+          const [section, slug] = target.split('/');
+          const exists = slug
+            ? section === 'posts' && findPost(slug)
+            : DIRECTORIES.includes(section);
+          if (!exists) return { lines: [err(`cd: ${dir}: No such directory`)] };
+          path = `/${target}`;
+        }
+        return { lines: [], effects: [{ type: 'navigate', path }] };
+      },
+    },
+
+    grep: {
+      usage: 'grep <term>',
+      description: 'search projects and posts',
+      run: (args, ctx) => {
+        const query = args.join(' ');
+        if (!query) return { lines: [err('usage: grep <term>')] };
+
+        const projectHits = searchIndex(projectIndex, query).map(({ id }) => findProject(id));
+        const postHits = searchIndex(postIndex, query).map(({ id }) => findPost(id));
+        const lines = [
+          ...projectHits.map((p) => out(`projects/${p.id}: ${p.title}`)),
+          ...postHits.map((p) => out(`posts/${p.id}: ${p.title}`)),
+        ];
+
+        return {
+          lines: lines.length ? lines : [dim(`grep: no matches for "${query}"`)],
+          // On the home page, run the same search in FilterToggle
+          effects: ctx.hasFilterToggle ? [{ type: 'emit', name: 'search', detail: { query } }] : [],
+        };
+      },
+    },
+
+    filter: {
+      usage: 'filter <view>=<tag> | clear',
+      description: 'show one category, e.g. filter method=llms',
+      run: ([expression], ctx) => {
+        let state;
+        if (expression === 'clear') {
+          state = { viewMode: 'goal', selectedCategory: null };
+        } else {
+          const [key, tag] = (expression || '').split('=');
+          const filterKey = lookup(FILTER_KEYS, key);
+          if (!filterKey || !tag) {
+            return { lines: [err('usage: filter goal|method|industry=<tag>  (or filter clear)')] };
+          }
+          if (!lookup(categories[filterKey.family], tag)) {
+            return {
+              lines: [
+                err(`filter: unknown ${filterKey.viewMode} "${tag}"`),
+                dim(`try: ${Object.keys(categories[filterKey.family]).join(' ')}`),
+              ],
+            };
+          }
+          state = { viewMode: filterKey.viewMode, selectedCategory: tag };
+        }
+
+        // FilterToggle lives on the home page; elsewhere, go there with the state in the URL
+        const effects = ctx.hasFilterToggle
+          ? [{ type: 'emit', name: 'filter', detail: state }]
+          : [{ type: 'navigate', path: `/${filterStateToSearch({ ...state, expandedId: null })}` }];
+        return { lines: [], effects };
+      },
+    },
+
+    theme: {
+      usage: 'theme [terminal|classic]',
+      description: 'switch the site theme',
+      run: ([value], ctx) => {
+        if (!value) return { lines: [out(`theme: ${ctx.theme}`)] };
+        if (!['terminal', 'classic'].includes(value)) {
+          return { lines: [err('usage: theme terminal|classic')] };
+        }
+        return { lines: [dim(`theme: ${value}`)], effects: [{ type: 'theme', value }] };
+      },
+    },
+
+    sound: {
+      usage: 'sound [on|off]',
+      description: 'retro interface sounds',
+      run: ([value], ctx) => {
+        if (!value) return { lines: [out(`sound: ${ctx.sound ? 'on' : 'off'}`)] };
+        if (!['on', 'off'].includes(value)) return { lines: [err('usage: sound on|off')] };
+        return { lines: [dim(`sound: ${value}`)], effects: [{ type: 'sound', value: value === 'on' }] };
+      },
+    },
+
+    history: {
+      usage: 'history',
+      description: 'show previous commands',
+      run: (_, ctx) => ({
+        lines: ctx.history.map((entry, i) => out(`${String(i + 1).padStart(4)}  ${entry}`)),
+      }),
+    },
+
+    clear: {
+      usage: 'clear',
+      description: 'clear the screen',
+      run: () => ({ lines: [], effects: [{ type: 'clear' }] }),
+    },
+
+    exit: {
+      usage: 'exit',
+      description: 'close the shell',
+      run: () => ({ lines: [], effects: [{ type: 'close' }] }),
+    },
+  };
+
+  // Run one input line. ctx: { path, theme, sound, history, hasFilterToggle }
+  function run(input, ctx) {
+    const [name, ...args] = input.trim().split(/\s+/);
+    if (!name) return { lines: [], effects: [] };
+
+    const command = lookup(commands, name);
+    if (!command) {
+      return { lines: [err(`${name}: command not found (type help)`)], effects: [] };
+    }
+    const result = command.run(args, ctx);
+    return { lines: result.lines, effects: result.effects || [] };
+  }
+
+  // Candidates for the word being completed, given the words before it
+  function candidates(words) {
+    if (words.length === 1) return Object.keys(commands);
+
+    const [name] = words;
+    const current = words[words.length - 1];
+    switch (name) {
+      case 'ls':
+        return ['projects', 'posts'];
+      case 'cat':
+        return [...projects.map((p) => p.id), ...posts.map((p) => p.id)];
+      case 'cd':
+        return ['~', ...DIRECTORIES, ...posts.map((p) => `posts/${p.id}`)];
+      case 'filter': {
+        const [key] = current.split('=');
+        const filterKey = lookup(FILTER_KEYS, key);
+        if (current.includes('=') && filterKey) {
+          return Object.keys(categories[filterKey.family]).map((tag) => `${key}=${tag}`);
+        }
+        return ['goal=', 'method=', 'industry=', 'clear'];
+      }
+      case 'theme':
+        return ['terminal', 'classic'];
+      case 'sound':
+        return ['on', 'off'];
+      default:
+        return [];
+    }
+  }
+
+  // Tab completion: returns { input, options } - input extended by the longest
+  // common prefix of the matches, options listed when there is more than one
+  function complete(input) {
+    const words = input.split(/\s+/);
+    const current = words[words.length - 1];
+    const matches = candidates(words).filter((c) => c.startsWith(current));
+    if (matches.length === 0) return { input, options: [] };
+
+    let prefix = matches[0];
+    matches.forEach((match) => {
+      while (!match.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    });
+
+    const done = matches.length === 1 && !prefix.endsWith('=');
+    const completed = words.slice(0, -1).concat(prefix).join(' ') + (done ? ' ' : '');
+    return { input: completed, options: matches.length > 1 ? matches : [] };
+  }
+
+  return { run, complete };
+}
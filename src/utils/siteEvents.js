@@ -0,0 +1,16 @@
+// Site-wide events between islands - each Astro island is its own React root,
+// so components that need to drive each other (the shell overlay, FilterToggle,
+// ViewToggle, SoundToggle) talk through namespaced window CustomEvents.
+
+const PREFIX = 'foretodata:';
+
+export function emitSiteEvent(name, detail = {}) {
+  window.dispatchEvent(new CustomEvent(PREFIX + name, { detail }));
+}
+
+// Subscribe to an event; returns the unsubscribe function (useEffect-friendly)
+export function onSiteEvent(name, handler) {
+  const listener = (event) => handler(event.detail);
+  window.addEventListener(PREFIX + name, listener);
+  return () => window.removeEventListener(PREFIX + name, listener);
+}
@@ -1,5 +1,6 @@
 // Retro Terminal Sound Manager - Pip-Boy/Fallout style interface sounds
 // Uses Web Audio API for synthesized CRT-like clicks and blips
+import { emitSiteEvent } from './siteEvents.js';
 
 class SoundManager {
   constructor() {
@@ -49,6 +50,15 @@ class SoundManager {
       this.playToggleOn();
     }
 
+    // Keep every SoundToggle in sync, whoever flipped the switch
+    emitSiteEvent('sound', { enabled: this.enabled });
+
+    return this.enabled;
+  }
+
+  // Set sound on/off explicitly (shell `sound on`)
+  setEnabled(enabled) {
+    if (enabled !== this.enabled) this.toggle();
     return this.enabled;
   }
 
@@ -360,6 +370,7 @@ export default soundManager;
 // Also export individual functions for convenience
 export const initSound = () => soundManager.init();
 export const toggleSound = () => soundManager.toggle();
+export const setSoundEnabled = (enabled) => soundManager.setEnabled(enabled);
 export const isEnabled = () => soundManager.isEnabled();
 export const playClick = () => soundManager.playClick();
 export const playHover = () => soundManager.playHover();
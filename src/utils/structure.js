@@ -0,0 +1,109 @@
+// Structure sources and residue annotations for MolecularViewer.
+//
+// A structure is { source, annotations, mutations? }:
+//   source      - { file: 'structures/1lyz.pdb' }: a PDB or mmCIF file under
+//                 public/, format from the extension unless `format` is set;
+//                 { pdb: '1LYZ' }: an entry fetched from the RCSB PDB, as
+//                 PDB unless `format` is 'cif';
+//                 or { data: '<file contents>', format: 'pdb' | 'cif' }
+//   annotations - residue groups drawn over the cartoon and listed in the
+//                 legend: { id, label, residues: [35, 52], color,
+//                 style: 'stick' | 'sphere', chain?, radius?, opacity? }.
+//                 The enzyme panel builds groups of the same shape for each
+//                 optimizer step (see MolecularViewer's `view`).
+//   mutations   - point mutations to show on load, e.g. "D52N, W62Y"
+//                 (see utils/mutations.js)
+import { MutationParseError, parseMutations } from './mutations.js';
+import { withBase } from './paths.js';
+
+export const STRUCTURE_FORMATS = ['pdb', 'cif'];
+export const ANNOTATION_STYLES = ['stick', 'sphere'];
+
+const EXTENSION_FORMATS = { pdb: 'pdb', ent: 'pdb', cif: 'cif', mmcif: 'cif' };
+
+const PDB_ID = /^[0-9][a-z0-9]{3}$/i;
+const RCSB_DOWNLOAD = 'https://files.rcsb.org/download';
+
+const SOURCE_KINDS = ['file', 'pdb', 'data'];
+
+export class StructureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StructureError';
+  }
+}
+
+// 3Dmol parser name for a source: explicit, or from the file extension
+export function structureFormat(source) {
+  if (source.format) {
+    if (!STRUCTURE_FORMATS.includes(source.format)) {
+      throw new StructureError(`Unknown structure format "${source.format}" (use ${STRUCTURE_FORMATS.join(' or ')})`);
+    }
+    return source.format;
+  }
+  if (source.pdb) return 'pdb';
+  if (source.data) {
+    throw new StructureError('Inline structure data needs a format (pdb or cif)');
+  }
+  const format = EXTENSION_FORMATS[source.file.split('.').pop().toLowerCase()];
+  if (!format) {
+    throw new StructureError(`Can't tell the format of "${source.file}" - use .pdb or .cif, or set format`);
+  }
+  return format;
+}
+
+// Check a structure before it reaches the viewer; returns it unchanged
+export function validateStructure(structure) {
+  const { source, annotations = [] } = structure;
+  if (!source || SOURCE_KINDS.filter(kind => source[kind]).length !== 1) {
+    throw new StructureError('A structure source needs exactly one of `file`, `pdb` or `data`');
+  }
+  if (source.pdb && !PDB_ID.test(source.pdb)) {
+    throw new StructureError(`"${source.pdb}" is not a PDB ID (four characters, starting with a digit)`);
+  }
+  structureFormat(source);
+
+  const ids = new Set();
+  annotations.forEach(annotation => {
+    if (ids.has(annotation.id)) {
+      throw new StructureError(`Duplicate annotation id "${annotation.id}"`);
+    }
+    ids.add(annotation.id);
+    if (!Array.isArray(annotation.residues) || annotation.residues.length === 0
+      || !annotation.residues.every(Number.isInteger)) {
+      throw new StructureError(`Annotation "${annotation.id}" needs a list of residue numbers`);
+    }
+    if (annotation.style && !ANNOTATION_STYLES.includes(annotation.style)) {
+      throw new StructureError(`Annotation "${annotation.id}" has unknown style "${annotation.style}" (use ${ANNOTATION_STYLES.join(' or ')})`);
+    }
+  });
+
+  try {
+    parseMutations(structure.mutations || '');
+  } catch (err) {
+    if (err instanceof MutationParseError) throw new StructureError(`Mutations: ${err.message}`);
+    throw err;
+  }
+  return structure;
+}
+
+// Short name for a source in messages
+export const sourceName = (source) => source.file || (source.pdb ? `PDB ${source.pdb}` : 'Structure data');
+
+// The structure file's text: fetched from public/ or the RCSB, or the inline data
+export async function loadStructureText(source) {
+  if (source.data) return source.data;
+  const url = source.pdb
+    ? `${RCSB_DOWNLOAD}/${source.pdb.toUpperCase()}.${structureFormat(source)}`
+    : withBase(source.file);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new StructureError(`Could not load ${sourceName(source)} (HTTP ${response.status})`);
+  }
+  return response.text();
+}
+
+// 3Dmol atom selections for an annotation and for a single residue
+export const annotationSelection = ({ residues, chain }) => (chain ? { resi: residues, chain } : { resi: residues });
+
+export const residueSelection = ({ resi, chain }) => (chain ? { resi, chain } : { resi });
@@ -0,0 +1,16 @@
+// Build-time check that a structure's `file` is in public/. The browser would
+// only see a missing file as a 404 and fall back to the placeholder, so the
+// content schema and the hero's page check it instead. Node only - the viewer
+// itself imports utils/structure.js.
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { StructureError } from './structure.js';
+
+export const PUBLIC_DIR = join(process.cwd(), 'public');
+
+export function assertStructureFile(source, publicDir = PUBLIC_DIR) {
+  if (!source?.file) return;
+  if (!existsSync(join(publicDir, source.file))) {
+    throw new StructureError(`${source.file} is not in public/ - add the file, or use a \`pdb\` ID or inline \`data\``);
+  }
+}
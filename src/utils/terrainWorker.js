@@ -0,0 +1,8 @@
+// Web worker for WaddingtonLandscape: builds the quasi-potential and the
+// attractors for one parameter set off the main thread (a few hundred ms of
+// simulation each). Message in: { id, params }; out: { id, potential, attractors }.
+import { findAttractors, quasiPotential } from './toggleSwitch.js';
+
+self.onmessage = ({ data: { id, params } }) => {
+  self.postMessage({ id, potential: quasiPotential(params), attractors: findAttractors(params) });
+};
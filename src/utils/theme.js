@@ -0,0 +1,24 @@
+// Site theme - 'terminal' (dark) or 'classic' (light ggplot2-style)
+// Stored in localStorage and applied as a class on <html>.
+import { emitSiteEvent } from './siteEvents.js';
+
+export const THEMES = ['terminal', 'classic'];
+
+export function getTheme() {
+  return localStorage.getItem('siteView') === 'classic' ? 'classic' : 'terminal';
+}
+
+// Apply a theme, persist it and let every toggle on the page know
+export function setTheme(view) {
+  localStorage.setItem('siteView', view);
+
+  if (view === 'classic') {
+    document.documentElement.classList.remove('dark');
+    document.documentElement.classList.add('classic');
+  } else {
+    document.documentElement.classList.remove('classic');
+    document.documentElement.classList.add('dark');
+  }
+
+  emitSiteEvent('theme', { view });
+}
@@ -0,0 +1,209 @@
+// Stochastic TF1/TF2 toggle switch behind the Waddington landscape
+//
+// Gardner-style mutual repression with self-activation (Huang et al. 2007):
+//   du = [a·h⁺(u) + b·h⁻(v) − k·u + drive₁] dt + σ dW₁
+//   dv = [a·h⁺(v) + b·h⁻(u) − k·v + drive₂] dt + σ dW₂
+// with Hill functions h⁺(x) = xⁿ/(sⁿ + xⁿ) and h⁻(x) = sⁿ/(sⁿ + xⁿ), u = TF1
+// and v = TF2 expression. Integrated with Euler–Maruyama.
+//
+// Depending on the parameters the system has one to four attractors; the
+// defaults give all four phenotypes - TF1 high (PRODUCER), TF2 high
+// (SURVIVAL), both high (STEM) and both low (SENESCENT). The landscape height
+// is the quasi-potential U = −ln P(u, v) of the simulated stationary
+// distribution, so valleys sit wherever the dynamics put them.
+//
+// A signal (the ⚡ frames of the regulatory panel) acts like Gardner's
+// inducers: it inactivates one TF - it no longer activates itself or represses
+// the other - and drives expression of the other one.
+import { createRng, gaussian } from './random.js';
+
+export const TOGGLE_PARAMS = {
+  selfActivation: 1.5, // a
+  repression: 0.3, // b
+  threshold: 0.8, // s
+  hill: 4, // n
+  decay: 1, // k
+  noise: 0.15, // σ
+};
+
+// Signal strength: inducer inactivation (u → u / (1 + inducer)) and drive
+export const SIGNAL = { inducer: 2, drive: 1 };
+
+export const PHENOTYPES = ['STEM', 'PRODUCER', 'SURVIVAL', 'SENESCENT'];
+
+// Terrain footprint of the state space (terrain coordinates are −1..1)
+const TERRAIN_SCALE = 0.65;
+
+const activation = (x, { threshold, hill }) => x ** hill / (threshold ** hill + x ** hill);
+
+// Highest steady expression a TF can reach
+const maxLevel = (params) => (params.selfActivation + params.repression) / params.decay;
+
+// Deterministic part of the dynamics. `signal` is null or { target: 'tf1' | 'tf2' }
+export function drift(u, v, params, signal = null) {
+  const uActive = signal?.target === 'tf1' ? u / (1 + SIGNAL.inducer) : u;
+  const vActive = signal?.target === 'tf2' ? v / (1 + SIGNAL.inducer) : v;
+  const { selfActivation: a, repression: b, decay: k } = params;
+  return [
+    a * activation(uActive, params) + b * (1 - activation(vActive, params)) - k * u + (signal?.target === 'tf2' ? SIGNAL.drive : 0),
+    a * activation(vActive, params) + b * (1 - activation(uActive, params)) - k * v + (signal?.target === 'tf1' ? SIGNAL.drive : 0),
+  ];
+}
+
+// One Euler–Maruyama step; expression is reflected at zero
+export function eulerMaruyamaStep({ u, v }, params, rng, dt, signal = null) {
+  const [du, dv] = drift(u, v, params, signal);
+  const scale = params.noise * Math.sqrt(dt);
+  return {
+    u: Math.abs(u + du * dt + scale * gaussian(rng)),
+    v: Math.abs(v + dv * dt + scale * gaussian(rng)),
+  };
+}
+
+// Name a state by which TFs are high (above half the maximum level)
+export function phenotypeOf(u, v, params) {
+  const high = maxLevel(params) / 2;
+  if (u > high && v > high) return 'STEM';
+  if (u > high) return 'PRODUCER';
+  if (v > high) return 'SURVIVAL';
+  return 'SENESCENT';
+}
+
+// State space (u, v) <-> terrain (x, z). Rotated 45°: x runs from TF1-high
+// (left) to TF2-high (right), z from high total expression (back) to low (front).
+export function toTerrain(u, v, params) {
+  const m = maxLevel(params);
+  return { x: ((v - u) / m) * TERRAIN_SCALE, z: (1 - (u + v) / m) * TERRAIN_SCALE };
+}
+
+export function fromTerrain(x, z, params) {
+  const m = maxLevel(params);
+  const difference = (x / TERRAIN_SCALE) * m; // v − u
+  const total = (1 - z / TERRAIN_SCALE) * m; // u + v
+  return { u: (total - difference) / 2, v: (total + difference) / 2 };
+}
+
+// Stable fixed points: integrate the noise-free dynamics from a grid of
+// starts, keep end points that survive a small kick, merge duplicates
+export function findAttractors(params, { grid = 8, dt = 0.02, steps = 1500 } = {}) {
+  const settle = (u, v) => {
+    let state = { u, v };
+    for (let t = 0; t < steps; t++) {
+      const [du, dv] = drift(state.u, state.v, params);
+      state = { u: Math.max(0, state.u + du * dt), v: Math.max(0, state.v + dv * dt) };
+    }
+    return state;
+  };
+
+  const m = maxLevel(params);
+  const attractors = [];
+  for (let i = 0; i <= grid; i++) {
+    for (let j = 0; j <= grid; j++) {
+      // Slightly off the diagonal, which would otherwise pin starts to the saddle
+      const end = settle((i / grid) * m + 0.011, (j / grid) * m);
+      const kicked = settle(end.u + 0.03 * m, end.v - 0.03 * m);
+      if (Math.hypot(kicked.u - end.u, kicked.v - end.v) > 0.01 * m) continue;
+      if (attractors.some(a => Math.hypot(a.u - end.u, a.v - end.v) < 0.03 * m)) continue;
+      attractors.push({ ...end, phenotype: phenotypeOf(end.u, end.v, params) });
+    }
+  }
+  return attractors;
+}
+
+// Attractor closest to a state
+export function nearestAttractor({ u, v }, attractors) {
+  return attractors.reduce((best, a) =>
+    Math.hypot(a.u - u, a.v - v) < Math.hypot(best.u - u, best.v - v) ? a : best
+  );
+}
+
+// Quasi-potential U = −ln P over a resolution × resolution grid of terrain
+// coordinates, from the histogram of many simulated trajectories. Cells the
+// simulation never visits start at the highest visited value and rise by
+// `rimSlope` (a fraction of the visited range) per grid cell of distance from
+// the visited region - a rim rather than a flat plateau, so anything rolling
+// on the terrain ends up back in a valley. The grid is then box-blurred.
+// Returns { resolution, values } with values in 0..1.
+export function quasiPotential(params, {
+  resolution = 36,
+  trajectories = 200,
+  steps = 2500,
+  burnIn = 200,
+  dt = 0.02,
+  seed = 1,
+  blurPasses = 2,
+  rimSlope = 0.04,
+} = {}) {
+  const rng = createRng(seed);
+  const m = maxLevel(params);
+  const counts = new Float64Array(resolution * resolution);
+  const cell = (coordinate) => Math.floor(((coordinate + 1) / 2) * resolution);
+  let total = 0;
+
+  for (let r = 0; r < trajectories; r++) {
+    let state = { u: rng() * m, v: rng() * m };
+    for (let t = 0; t < steps; t++) {
+      state = eulerMaruyamaStep(state, params, rng, dt);
+      if (t < burnIn) continue;
+      const { x, z } = toTerrain(state.u, state.v, params);
+      const i = cell(x);
+      const j = cell(z);
+      if (i < 0 || i >= resolution || j < 0 || j >= resolution) continue;
+      counts[j * resolution + i] += 1;
+      total += 1;
+    }
+  }
+
+  let values = Array.from(counts, count => (count > 0 ? -Math.log(count / total) : Infinity));
+  const visited = values.map((value, index) => (Number.isFinite(value) ? index : -1)).filter(index => index >= 0);
+  const highest = Math.max(...visited.map(index => values[index]));
+  const lowest = Math.min(...visited.map(index => values[index]));
+  values = values.map((value, index) => {
+    if (Number.isFinite(value)) return value;
+    const i = index % resolution;
+    const j = Math.floor(index / resolution);
+    const distance = Math.min(...visited.map(other =>
+      Math.hypot(other % resolution - i, Math.floor(other / resolution) - j)
+    ));
+    return highest + rimSlope * (highest - lowest) * distance;
+  });
+
+  for (let pass = 0; pass < blurPasses; pass++) {
+    values = values.map((_, index) => {
+      const i = index % resolution;
+      const j = Math.floor(index / resolution);
+      let sum = 0;
+      let n = 0;
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let di = -1; di <= 1; di++) {
+          const ii = i + di;
+          const jj = j + dj;
+          if (ii < 0 || ii >= resolution || jj < 0 || jj >= resolution) continue;
+          sum += values[jj * resolution + ii];
+          n += 1;
+        }
+      }
+      return sum / n;
+    });
+  }
+
+  const floor = Math.min(...values);
+  const ceiling = Math.max(...values);
+  return {
+    resolution,
+    values: Float32Array.from(values, value => (value - floor) / (ceiling - floor)),
+  };
+}
+
+// Bilinear lookup of the quasi-potential at terrain coordinates
+export function samplePotential({ resolution, values }, x, z) {
+  const gx = Math.min(Math.max(((x + 1) / 2) * resolution - 0.5, 0), resolution - 1);
+  const gz = Math.min(Math.max(((z + 1) / 2) * resolution - 0.5, 0), resolution - 1);
+  const i = Math.min(Math.floor(gx), resolution - 2);
+  const j = Math.min(Math.floor(gz), resolution - 2);
+  const fx = gx - i;
+  const fz = gz - j;
+  const at = (ii, jj) => values[jj * resolution + ii];
+  return (at(i, j) * (1 - fx) + at(i + 1, j) * fx) * (1 - fz)
+    + (at(i, j + 1) * (1 - fx) + at(i + 1, j + 1) * fx) * fz;
+}
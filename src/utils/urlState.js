@@ -0,0 +1,49 @@
+// FilterToggle URL state - keeps view, category and expanded card in the query string
+// so links like ?view=method&category=causal-inference&project=dynamic-pricing-engine
+// open the page exactly as it was shared. Defaults are left out of the URL.
+
+export const VIEW_MODES = ['goal', 'method', 'industry'];
+const DEFAULT_VIEW = 'goal';
+
+// Read raw state from a location; callers validate against their own data
+export function readFilterState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  const view = params.get('view');
+
+  return {
+    viewMode: VIEW_MODES.includes(view) ? view : DEFAULT_VIEW,
+    selectedCategory: params.get('category'),
+    expandedId: params.get('project'),
+  };
+}
+
+// Build the query string for a state, preserving unrelated params
+export function filterStateToSearch({ viewMode, selectedCategory, expandedId }, search = '') {
+  const params = new URLSearchParams(search);
+
+  const entries = {
+    view: viewMode !== DEFAULT_VIEW ? viewMode : null,
+    category: selectedCategory,
+    project: expandedId,
+  };
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+    else params.delete(key);
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Push (or replace) a history entry when the state actually changed
+export function writeFilterState(state, { replace = false } = {}) {
+  const search = filterStateToSearch(state, window.location.search);
+  if (search === window.location.search) return;
+
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(state, '', url);
+  } else {
+    window.history.pushState(state, '', url);
+  }
+}